@@ -0,0 +1,44 @@
+// Athlete profile options and name lookup, shared by the recording and analysis pages
+class AthleteRoster {
+    static hands() {
+        return [
+            { value: 'right', label: 'Right-handed' },
+            { value: 'left', label: 'Left-handed' }
+        ];
+    }
+
+    static aids() {
+        return [
+            { value: 'brush', label: 'Brush' },
+            { value: 'slider', label: 'Stabilizer' },
+            { value: 'stick', label: 'Delivery stick' }
+        ];
+    }
+
+    static guestName() {
+        return 'Guest';
+    }
+
+    // Throws keep their athlete id after the athlete is removed from the roster
+    static nameFor(athleteId, athletes) {
+        if (!athleteId || athleteId === window.throwStore.guestAthleteId) return AthleteRoster.guestName();
+        const athlete = athletes.find(a => a.id === athleteId);
+        return athlete ? athlete.name : 'Removed athlete';
+    }
+
+    // <option> markup with the guest first
+    static options(athletes, selected) {
+        const guestId = window.throwStore.guestAthleteId;
+        const entries = [{ id: guestId, name: AthleteRoster.guestName() }].concat(athletes);
+        return entries.map(a =>
+            `<option value="${AthleteRoster.escape(a.id)}" ${a.id === selected ? 'selected' : ''}>${AthleteRoster.escape(a.name)}</option>`
+        ).join('');
+    }
+
+    // Safe in element content and in quoted attributes
+    static escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
@@ -0,0 +1,158 @@
+// Optional sound for the athlete mid-delivery, when nobody can look at the phone: a tone
+// that rises with side-to-side roll wobble, a beep when stability drops, and a spoken
+// summary once the recording auto-stops
+class AudioFeedback {
+    constructor() {
+        this.storageKey = 'curling_audio_feedback';
+        this.enabled = localStorage.getItem(this.storageKey) === 'on';
+        this.windowSeconds = 0.3; // recent gyro samples the wobble is measured over
+        this.minFrequency = 220; // Hz - held steady
+        this.maxFrequency = 880; // Hz - at maxWobble or more
+        this.maxWobble = 60; // °/s - RMS roll rate that sends the tone to the top
+        this.instabilityThreshold = 45; // °/s - RMS pitch and roll rate that sets off the beep
+        this.beepInterval = 0.6; // seconds between repeated beeps
+        this.context = null;
+        this.oscillator = null;
+        this.recent = [];
+        this.lastBeep = -Infinity;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.storageKey, enabled ? 'on' : 'off');
+        if (enabled) {
+            this.prepare();
+        } else {
+            this.stop();
+            if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+        }
+    }
+
+    // Browsers only let sound start from a tap, so this runs inside the record button's click
+    prepare() {
+        if (!this.enabled) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.context && AudioContextClass) {
+            this.context = new AudioContextClass();
+        }
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+
+        // iOS only speaks later on if speech was first started from a tap
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+        }
+    }
+
+    start() {
+        if (!this.enabled || !this.context) return;
+
+        this.stop();
+        this.recent = [];
+        this.lastBeep = -Infinity;
+
+        const gain = this.context.createGain();
+        gain.gain.value = 0.08;
+        gain.connect(this.context.destination);
+
+        this.oscillator = this.context.createOscillator();
+        this.oscillator.type = 'sine';
+        this.oscillator.frequency.value = this.minFrequency;
+        this.oscillator.connect(gain);
+        this.oscillator.start();
+    }
+
+    stop() {
+        if (!this.oscillator) return;
+        this.oscillator.stop();
+        this.oscillator.disconnect();
+        this.oscillator = null;
+    }
+
+    // Called with each gyroscope sample while recording (°/s, seconds)
+    update(pitchRate, rollRate, timestamp) {
+        if (!this.oscillator) return;
+
+        this.recent.push({ pitch: pitchRate, roll: rollRate, timestamp });
+        while (timestamp - this.recent[0].timestamp > this.windowSeconds) this.recent.shift();
+
+        const rms = (key) => Math.sqrt(this.recent.reduce((a, s) => a + s[key] * s[key], 0) / this.recent.length);
+        const wobble = rms('roll');
+        const instability = Math.hypot(rms('pitch'), wobble);
+
+        // Exponential so equal steps of wobble sound like equal musical intervals
+        const share = Math.min(1, wobble / this.maxWobble);
+        const frequency = this.minFrequency * Math.pow(this.maxFrequency / this.minFrequency, share);
+        this.oscillator.frequency.setTargetAtTime(frequency, this.context.currentTime, 0.05);
+
+        if (instability > this.instabilityThreshold && timestamp - this.lastBeep >= this.beepInterval) {
+            this.beep();
+            this.lastBeep = timestamp;
+        }
+    }
+
+    // Two rising notes, e.g. when an armed recording is ready for the push-off
+    cue() {
+        if (!this.enabled || !this.context) return;
+
+        const now = this.context.currentTime;
+        [660, 990].forEach((frequency, i) => {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            const start = now + i * 0.15;
+
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.12);
+
+            oscillator.connect(gain);
+            gain.connect(this.context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.12);
+        });
+    }
+
+    beep() {
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        oscillator.type = 'square';
+        oscillator.frequency.value = 1320;
+        gain.gain.setValueAtTime(0.15, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
+
+        oscillator.connect(gain);
+        gain.connect(this.context.destination);
+        oscillator.start(now);
+        oscillator.stop(now + 0.12);
+    }
+
+    speakSummary(analysis) {
+        if (!this.enabled || !analysis || !('speechSynthesis' in window)) return;
+
+        const utterance = new SpeechSynthesisUtterance(AudioFeedback.summaryText(analysis));
+        utterance.rate = 0.95;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    // e.g. "Push-off 3.2, peak speed 2.4 meters per second, stability 78 percent, weight Draw."
+    static summaryText(analysis) {
+        const parts = [
+            `Push-off ${analysis.pushoffStrength.toFixed(1)}`,
+            `peak speed ${analysis.peakVelocity.toFixed(1)} meters per second`,
+            `stability ${analysis.stabilityScore.toFixed(0)} percent`
+        ];
+        if (analysis.predictedWeight) {
+            parts.push(`weight ${analysis.predictedWeight}`);
+        }
+        if (analysis.referenceSimilarity !== null && analysis.referenceSimilarity !== undefined) {
+            parts.push(`${analysis.referenceSimilarity.toFixed(0)} percent match to your reference`);
+        }
+        return parts.join(', ') + '.';
+    }
+}
@@ -0,0 +1,325 @@
+// Per-device sensor calibration: accelerometer/gyroscope bias and mounting orientation.
+// A calibrated sample comes out in the body frame: x = forward, y = left, z = up.
+class DeviceCalibration {
+    constructor(deviceKey, data = null) {
+        this.deviceKey = deviceKey;
+        this.data = data;
+    }
+
+    static storageKey() {
+        return 'curling_calibrations';
+    }
+
+    static loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(DeviceCalibration.storageKey()) || '{}');
+        } catch (error) {
+            console.error('Stored calibrations are unreadable:', error);
+            return {};
+        }
+    }
+
+    static load(deviceKey) {
+        const all = DeviceCalibration.loadAll();
+        return new DeviceCalibration(deviceKey, all[deviceKey] || null);
+    }
+
+    save(data) {
+        const all = DeviceCalibration.loadAll();
+        all[this.deviceKey] = data;
+        localStorage.setItem(DeviceCalibration.storageKey(), JSON.stringify(all));
+        this.data = data;
+    }
+
+    clear() {
+        const all = DeviceCalibration.loadAll();
+        delete all[this.deviceKey];
+        localStorage.setItem(DeviceCalibration.storageKey(), JSON.stringify(all));
+        this.data = null;
+    }
+
+    isCalibrated() {
+        return !!this.data;
+    }
+
+    // Vectors are [x, y, z]; rotation rates use the same units as the raw source
+    apply(sample) {
+        if (!this.data) return sample;
+
+        const { accelBias, gyroBias, rotation } = this.data;
+        return {
+            acceleration: this.rotate(rotation, this.subtract(sample.acceleration, accelBias)),
+            linear: sample.linear ? this.rotate(rotation, sample.linear) : null,
+            rotationRate: this.rotate(rotation, this.subtract(sample.rotationRate, gyroBias))
+        };
+    }
+
+    // Builds calibration data from a still upright capture and a held slide-posture capture
+    compute(standing, posture) {
+        const gravity = 9.80665;
+        const standingMean = this.mean(standing.map(s => s.acceleration));
+        const postureMean = this.mean(posture.map(s => s.acceleration));
+
+        // At rest the gyroscope should read zero in both postures
+        const gyroBias = this.mean(standing.concat(posture).map(s => s.rotationRate));
+
+        // Only the error along gravity is observable from two postures; average it
+        const excess = (mean) => this.subtract(mean, this.scale(this.normalize(mean), gravity));
+        const accelBias = this.scale(this.add(excess(standingMean), excess(postureMean)), 0.5);
+
+        const upStanding = this.normalize(this.subtract(standingMean, accelBias));
+        const upPosture = this.normalize(this.subtract(postureMean, accelBias));
+
+        // Leaning into the slide tips the torso's long axis forward, so its
+        // horizontal projection in the slide posture points down the sheet
+        let forward = this.subtract(upStanding, this.scale(upPosture, this.dot(upStanding, upPosture)));
+        const postureChange = Math.asin(Math.min(1, this.length(forward))) * 180 / Math.PI;
+        let headingFromPosture = true;
+
+        if (postureChange < 10) {
+            // Too little lean to trust; fall back to the device x axis
+            headingFromPosture = false;
+            const axis = Math.abs(upPosture[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+            forward = this.subtract(axis, this.scale(upPosture, this.dot(axis, upPosture)));
+        }
+        forward = this.normalize(forward);
+        const lateral = this.cross(upPosture, forward);
+
+        return {
+            createdAt: new Date().toISOString(),
+            accelBias,
+            gyroBias,
+            rotation: [forward, lateral, upPosture],
+            postureChange,
+            headingFromPosture
+        };
+    }
+
+    // Largest deviation from the mean acceleration, to reject captures where the user moved
+    motionSpread(samples) {
+        const mean = this.mean(samples.map(s => s.acceleration));
+        return Math.max(...samples.map(s => this.length(this.subtract(s.acceleration, mean))));
+    }
+
+    mean(vectors) {
+        const sum = vectors.reduce((acc, v) => this.add(acc, v), [0, 0, 0]);
+        return this.scale(sum, 1 / Math.max(1, vectors.length));
+    }
+
+    rotate(matrix, v) {
+        return matrix.map(row => this.dot(row, v));
+    }
+
+    add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+    subtract(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    scale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+    dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+    length(a) { return Math.sqrt(this.dot(a, a)); }
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+    normalize(a) {
+        const len = this.length(a);
+        return len > 0 ? this.scale(a, 1 / len) : [0, 0, 1];
+    }
+}
+
+// Step-by-step calibration flow on the recording page
+class CalibrationWizard {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.captureSeconds = 3;
+        this.countdownSeconds = 3;
+        this.maxMotionSpread = 1.0; // m/s² - more than this means the user wasn't holding still
+        this.step = 'idle';
+        this.captures = {};
+        this.timer = null;
+        this.motionHandler = null;
+        this.cancelCapture = null; // settles a running capture() when the wizard closes
+
+        this.steps = {
+            standing: {
+                text: 'Put the phone in your chest pocket exactly as you will for throws, then stand upright and still.',
+                button: 'Capture Standing'
+            },
+            posture: {
+                text: 'Now get down into your slide posture and hold it still, as if gliding.',
+                button: 'Capture Slide Posture'
+            }
+        };
+
+        this.setupEventListeners();
+        this.updateStatus();
+    }
+
+    setupEventListeners() {
+        document.getElementById('calibrateBtn').addEventListener('click', () => this.open());
+        document.getElementById('calibrationNextBtn').addEventListener('click', () => this.next());
+        document.getElementById('calibrationCancelBtn').addEventListener('click', () => this.close());
+        document.getElementById('calibrationResetBtn').addEventListener('click', () => this.reset());
+    }
+
+    open() {
+        if (this.analyzer.isRecording) return;
+
+        this.captures = {};
+        this.showStep('standing');
+        document.getElementById('calibrationCancelBtn').textContent = 'Cancel';
+        document.getElementById('calibrationSection').style.display = 'block';
+        document.getElementById('calibrationResetBtn').style.display =
+            this.analyzer.calibration.isCalibrated() ? 'inline-flex' : 'none';
+    }
+
+    close() {
+        this.stopCapture();
+        this.step = 'idle';
+        document.getElementById('calibrationSection').style.display = 'none';
+    }
+
+    showStep(step, message) {
+        this.step = step;
+        const nextBtn = document.getElementById('calibrationNextBtn');
+        document.getElementById('calibrationCountdown').textContent = '';
+        document.getElementById('calibrationStep').textContent = message || this.steps[step].text;
+        nextBtn.textContent = this.steps[step].button;
+        nextBtn.disabled = false;
+    }
+
+    async next() {
+        if (this.step !== 'standing' && this.step !== 'posture') return;
+
+        const hasPermissions = await this.analyzer.requestPermissions();
+        if (!hasPermissions) return;
+
+        const step = this.step;
+        document.getElementById('calibrationNextBtn').disabled = true;
+
+        try {
+            const samples = await this.capture();
+            if (samples === null) return; // the wizard was closed mid-capture
+            const calibration = this.analyzer.calibration;
+
+            if (samples.length < 10) {
+                this.showStep(step, 'No sensor data arrived. Check sensor permissions or the sensor connection and try again.');
+                return;
+            }
+            if (calibration.motionSpread(samples) > this.maxMotionSpread) {
+                this.showStep(step, 'Too much movement during capture - hold still and try again.');
+                return;
+            }
+
+            this.captures[step] = samples;
+            if (step === 'standing') {
+                this.showStep('posture');
+            } else {
+                this.finish();
+            }
+        } catch (error) {
+            console.error('Calibration capture failed:', error);
+            this.showStep(step, 'Capture failed - please try again.');
+        }
+    }
+
+    // Count down, then collect raw (uncalibrated) samples for a few seconds
+    capture() {
+        const countdown = document.getElementById('calibrationCountdown');
+
+        return new Promise((resolve) => {
+            this.cancelCapture = () => resolve(null);
+            let remaining = this.countdownSeconds;
+            countdown.textContent = `Hold position... ${remaining}`;
+
+            this.timer = setInterval(() => {
+                remaining--;
+                if (remaining > 0) {
+                    countdown.textContent = `Hold position... ${remaining}`;
+                    return;
+                }
+
+                clearInterval(this.timer);
+                countdown.textContent = 'Capturing - stay still';
+                const samples = [];
+
+                this.motionHandler = (sample) => {
+                    if (!sample.acceleration) return;
+                    samples.push({
+                        acceleration: sample.acceleration,
+                        rotationRate: sample.rotationRate || [0, 0, 0]
+                    });
+                };
+                this.analyzer.sensorSource.addListener(this.motionHandler);
+
+                this.timer = setTimeout(() => {
+                    this.cancelCapture = null;
+                    this.stopCapture();
+                    resolve(samples);
+                }, this.captureSeconds * 1000);
+            }, 1000);
+        });
+    }
+
+    stopCapture() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.motionHandler) {
+            this.analyzer.sensorSource.removeListener(this.motionHandler);
+            this.motionHandler = null;
+        }
+        if (this.cancelCapture) {
+            const cancel = this.cancelCapture;
+            this.cancelCapture = null;
+            cancel();
+        }
+    }
+
+    finish() {
+        const calibration = this.analyzer.calibration;
+        const data = calibration.compute(this.captures.standing, this.captures.posture);
+        calibration.save(data);
+
+        this.step = 'done';
+        document.getElementById('calibrationCountdown').textContent = '';
+        document.getElementById('calibrationStep').textContent = data.headingFromPosture
+            ? `Calibrated. Slide posture leans ${data.postureChange.toFixed(0)}° from upright.`
+            : 'Calibrated, but your posture barely changed, so forward is taken from the phone\'s own axis.';
+        const nextBtn = document.getElementById('calibrationNextBtn');
+        nextBtn.textContent = 'Done';
+        nextBtn.disabled = true;
+        document.getElementById('calibrationCancelBtn').textContent = 'Close';
+
+        this.updateStatus();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('calibration_saved', {
+                postureChange: data.postureChange,
+                headingFromPosture: data.headingFromPosture
+            });
+        }
+    }
+
+    reset() {
+        this.analyzer.calibration.clear();
+        this.updateStatus();
+        this.close();
+    }
+
+    updateStatus() {
+        const status = document.getElementById('calibrationStatus');
+        const calibration = this.analyzer.calibration;
+
+        if (calibration.isCalibrated()) {
+            status.textContent = `Calibrated ${new Date(calibration.data.createdAt).toLocaleDateString()}`;
+            status.style.color = '#48bb78';
+        } else {
+            status.textContent = 'Not calibrated';
+            status.style.color = '#ed8936';
+        }
+    }
+}
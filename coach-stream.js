@@ -0,0 +1,150 @@
+// Athlete side of the coach live view: shares a pairing link, streams the samples being
+// recorded in small batches, and sends the page status and each finished throw. The
+// coach's device can also send remote control commands back over the same link, once the
+// athlete has approved it.
+class CoachStream {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.link = null;
+        this.batch = [];
+        this.flushTimer = null;
+        this.batchInterval = 100; // ms between sample batches
+
+        document.getElementById('coachPairBtn').addEventListener('click', () => {
+            if (this.link) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+        document.getElementById('coachShareBtn').addEventListener('click', () => this.shareLink());
+    }
+
+    isLinked() {
+        return !!this.link && ['relay', 'direct'].includes(this.link.state);
+    }
+
+    start() {
+        const url = document.getElementById('remoteUrl').value.trim();
+        if (!/^wss?:\/\//.test(url)) {
+            alert('Enter the relay address in the Remote Control panel first (ws:// or wss://).');
+            return;
+        }
+
+        const code = LiveLink.generateCode();
+        this.relayUrl = url;
+        this.link = new LiveLink('athlete', code, {
+            onMessage: (message) => this.receive(message),
+            onState: (state) => this.updateUI(state),
+            confirmPeer: (device) => this.confirmCoach(device),
+            // The coach just joined or rejoined, so bring them up to date
+            onPeer: () => this.link.send(this.analyzer.remote.buildStatus())
+        });
+        this.link.connect(url);
+        this.flushTimer = setInterval(() => this.flush(), this.batchInterval);
+        this.updateUI(this.link.state);
+
+        if (window.analytics) {
+            window.analytics.trackEvent('coach_pairing_started', {
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    stop() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.batch = [];
+        if (this.link) this.link.close();
+        this.link = null;
+        this.updateUI('closed');
+    }
+
+    // Nothing is streamed to, or accepted from, a coach device the athlete hasn't allowed
+    confirmCoach(device) {
+        const replacing = this.link.peerDevice !== null;
+        const allowed = confirm(replacing
+            ? 'A different coach device has joined with your link. Let it take over the live view and control recording?'
+            : 'A coach device has joined with your link. Let it see the live view and control recording?');
+
+        if (window.analytics) {
+            window.analytics.trackEvent('coach_device_confirmed', {
+                allowed,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return allowed;
+    }
+
+    pairLink() {
+        return this.link ? LiveLink.pairLink(this.relayUrl, this.link.pairCode) : null;
+    }
+
+    async shareLink() {
+        const link = this.pairLink();
+        if (!link) return;
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Coach live view', url: link });
+            } else {
+                await navigator.clipboard.writeText(link);
+                document.getElementById('coachStatus').textContent = 'Link copied. Open it on the coach\'s device.';
+            }
+        } catch (error) {
+            console.log('Pairing link not shared:', error);
+        }
+    }
+
+    updateUI(state) {
+        const paired = !!this.link;
+        document.getElementById('coachPairBtn').textContent = paired ? 'Stop Sharing' : '👀 Share Live with Coach';
+        document.getElementById('coachPairCode').textContent = paired ? this.pairLink() : '';
+        document.getElementById('coachPairCode').style.display = paired ? 'block' : 'none';
+        document.getElementById('coachShareBtn').style.display = paired ? 'inline-flex' : 'none';
+        document.getElementById('coachStatus').textContent = paired
+            ? `${LiveLink.stateLabel(state)}. Open this link on the coach's device; you'll be asked to allow it.`
+            : 'Stream this recording to a coach\'s device on the same relay.';
+    }
+
+    // Commands from the coach go through the same checks as any other remote
+    receive(message) {
+        if (message && message.type === 'command') {
+            this.analyzer.remote.receive(message, (reply) => this.link.send(reply));
+        }
+    }
+
+    send(message) {
+        if (this.isLinked()) this.link.send(message);
+    }
+
+    // Body-frame samples as they're recorded: [time, ax, ay, az, pitch, roll, yaw]
+    addSample(sample, timestamp) {
+        if (!this.isLinked()) return;
+        const accel = sample.acceleration || [null, null, null];
+        const rate = sample.rotationRate || [null, null, null];
+        this.batch.push([timestamp, ...accel, ...rate].map(v => v === null ? null : Number(v.toFixed(3))));
+    }
+
+    flush() {
+        if (this.batch.length === 0) return;
+        this.send({ type: 'samples', samples: this.batch });
+        this.batch = [];
+    }
+
+    // The saved throw with its trace, so the coach's device can keep it in its own session
+    sendThrow(throwData) {
+        if (!this.isLinked()) return;
+        this.flush();
+
+        const athlete = this.analyzer.athletes.find(a => a.id === throwData.athleteId) || null;
+        this.send({ type: 'throw', throwData, athlete });
+
+        if (window.analytics) {
+            window.analytics.trackEvent('coach_throw_sent', {
+                direct: this.link.state === 'direct',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
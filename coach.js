@@ -0,0 +1,336 @@
+// Coach's side of the live view: pairs with an athlete's recording phone, draws the
+// samples as they arrive, and keeps each finished throw in this device's own session
+class CoachView {
+    constructor() {
+        this.link = null;
+        this.urlKey = 'curling_remote_url'; // the same relay the remote control uses
+        this.windowSeconds = 10; // live charts show this much of the recording
+        this.live = CoachView.emptyLive();
+        this.liveDirty = false;
+        this.status = null;
+        this.athletes = [];
+        this.charts = {};
+        this.commandCount = 0;
+        this.importer = new SessionImporter();
+
+        this.init();
+    }
+
+    static emptyLive() {
+        return {
+            accel: { x: [], y: [], z: [] },
+            gyro: { x: [], y: [], z: [] }
+        };
+    }
+
+    async init() {
+        this.setupEventListeners();
+        this.createLiveCharts();
+        try {
+            this.athletes = await window.throwStore.getAthletes();
+        } catch (error) {
+            console.error('Error loading athletes:', error);
+        }
+        await this.updateSessionInfo();
+
+        // Redraw at a steady rate rather than on every batch
+        setInterval(() => this.renderLive(), 100);
+        this.updateUI('closed');
+
+        // Opened from the athlete's pairing link: join straight away
+        const { relay, pair } = LiveLink.parsePairLink(window.location.href);
+        if (relay && pair) {
+            document.getElementById('coachRelayUrl').value = relay;
+            document.getElementById('coachPairInput').value = pair;
+            history.replaceState(null, '', window.location.pathname); // keep the token out of history
+            this.connect();
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('coachRelayUrl').value = localStorage.getItem(this.urlKey) || '';
+        document.getElementById('coachConnectBtn').addEventListener('click', () => {
+            if (this.link) {
+                this.disconnect();
+            } else {
+                this.connect();
+            }
+        });
+        document.getElementById('coachRecordBtn').addEventListener('click', () => this.sendCommand('toggle'));
+        document.getElementById('coachArmBtn').addEventListener('click', () => {
+            this.sendCommand(this.status && this.status.armState ? 'disarm' : 'arm');
+        });
+    }
+
+    connect() {
+        let url = document.getElementById('coachRelayUrl').value.trim();
+        let code = document.getElementById('coachPairInput').value.trim();
+
+        // A pasted link carries both the relay and the token
+        const pasted = LiveLink.parsePairLink(code);
+        if (pasted.pair) {
+            code = pasted.pair;
+            url = pasted.relay || url;
+            document.getElementById('coachRelayUrl').value = url;
+            document.getElementById('coachPairInput').value = code;
+        }
+
+        if (!/^wss?:\/\//.test(url)) {
+            alert('The relay address has to start with ws:// or wss://');
+            return;
+        }
+        if (!LiveLink.isValidCode(code)) {
+            alert('Paste the pairing link shown on the athlete\'s phone.');
+            return;
+        }
+
+        localStorage.setItem(this.urlKey, url);
+        this.link = new LiveLink('coach', code, {
+            onMessage: (message) => this.receive(message),
+            onState: (state) => this.updateUI(state)
+        });
+        this.link.connect(url);
+        this.updateUI(this.link.state);
+
+        if (window.analytics) {
+            window.analytics.trackEvent('coach_view_connected', {
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    disconnect() {
+        if (this.link) this.link.close();
+        this.link = null;
+        this.status = null;
+        this.updateUI('closed');
+    }
+
+    receive(message) {
+        if (!message) return;
+
+        if (message.type === 'status') {
+            const wasRecording = this.status && this.status.state === 'recording';
+            this.status = message;
+            // A new recording starts with clear charts
+            if (message.state === 'recording' && !wasRecording) {
+                this.live = CoachView.emptyLive();
+                this.liveDirty = true;
+            }
+            this.updateUI(this.link.state);
+        } else if (message.type === 'samples') {
+            this.addSamples(message.samples || []);
+        } else if (message.type === 'throw') {
+            this.receiveThrow(message.throwData, message.athlete);
+        } else if (message.type === 'ack' && !message.ok) {
+            document.getElementById('coachCommandResult').textContent = message.error || 'Command refused';
+        }
+    }
+
+    sendCommand(command) {
+        if (!this.link) return;
+        document.getElementById('coachCommandResult').textContent = '';
+        const sent = this.link.send({ type: 'command', command, id: `coach_${++this.commandCount}` });
+        if (!sent) document.getElementById('coachCommandResult').textContent = 'Not connected to the athlete\'s phone';
+    }
+
+    // Samples are [time, ax, ay, az, pitch, roll, yaw] in the phone's body frame
+    addSamples(samples) {
+        const live = this.live;
+        samples.forEach(([time, ax, ay, az, pitch, roll, yaw]) => {
+            if (ax !== null) {
+                live.accel.x.push({ x: time, y: ax });
+                live.accel.y.push({ x: time, y: ay });
+                live.accel.z.push({ x: time, y: az });
+            }
+            if (pitch !== null) {
+                live.gyro.x.push({ x: time, y: pitch });
+                live.gyro.y.push({ x: time, y: roll });
+                live.gyro.z.push({ x: time, y: yaw });
+            }
+        });
+
+        // Only the last few seconds are kept on screen
+        const latest = samples.length > 0 ? samples[samples.length - 1][0] : 0;
+        [live.accel, live.gyro].forEach(group => {
+            ['x', 'y', 'z'].forEach(axis => {
+                const points = group[axis];
+                const drop = points.findIndex(p => p.x >= latest - this.windowSeconds);
+                if (drop > 0) points.splice(0, drop);
+            });
+        });
+        this.liveDirty = true;
+    }
+
+    // The peer is checked like an imported file: only known fields with the app's own values
+    async receiveThrow(received, receivedAthlete) {
+        const problem = this.importer.validateThrow(received);
+        if (problem) {
+            console.error('Rejected throw from the athlete\'s phone:', problem);
+            return;
+        }
+        const throwData = this.importer.cleanThrow(received);
+        const athlete = receivedAthlete ? SessionImporter.cleanAthlete(receivedAthlete) : null;
+
+        try {
+            // Sent again after a reconnect, perhaps
+            if (await window.throwStore.getThrow(throwData.id)) return;
+
+            if (athlete && athlete.id === throwData.athleteId && !(await window.throwStore.getAthlete(athlete.id))) {
+                await window.throwStore.saveAthlete({ createdAt: new Date().toISOString(), ...athlete });
+                this.athletes = await window.throwStore.getAthletes();
+            }
+
+            const session = await window.throwStore.getOrCreateCurrentSession();
+            await window.throwStore.saveThrow({ ...throwData, sessionId: session.id });
+        } catch (error) {
+            console.error('Error saving received throw:', error);
+            alert('Error saving the throw from the athlete\'s phone: ' + error.message);
+            return;
+        }
+
+        this.showThrow(throwData);
+        await this.updateSessionInfo();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('coach_throw_received', {
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    showThrow(throwData) {
+        const format = (value, digits) => value === null || value === undefined ? '-' : value.toFixed(digits);
+        document.getElementById('coachThrowSection').style.display = 'block';
+        document.getElementById('coachThrowTitle').textContent =
+            `${AthleteRoster.nameFor(throwData.athleteId, this.athletes)}: ${ThrowTypes.describe(throwData)} at ` +
+            new Date(throwData.timestamp).toLocaleTimeString();
+        document.getElementById('coachPushoff').textContent = format(throwData.pushoffStrength, 2);
+        document.getElementById('coachPeakVelocity').textContent = format(throwData.peakVelocity, 2);
+        document.getElementById('coachSlideDuration').textContent = format(throwData.slideDuration, 2);
+        document.getElementById('coachStability').textContent = format(throwData.stabilityScore, 0);
+        document.getElementById('coachWeight').textContent = throwData.predictedWeight || '-';
+        document.getElementById('coachReference').textContent = throwData.referenceSimilarity !== null && throwData.referenceSimilarity !== undefined
+            ? `${throwData.referenceSimilarity.toFixed(0)}%`
+            : '-';
+
+        const raw = throwData.rawData;
+        if (!raw || !raw.acceleration) return;
+        const points = (timestamps, values) => values.map((y, i) => ({ x: timestamps[i], y }));
+        const chart = this.charts.throw;
+        chart.data.datasets[0].data = points(raw.acceleration.timestamps, raw.acceleration.x);
+        chart.data.datasets[1].data = raw.velocity ? points(raw.velocity.timestamps, raw.velocity.x) : [];
+        chart.update('none');
+    }
+
+    async updateSessionInfo() {
+        try {
+            const session = await window.throwStore.getCurrentSession();
+            const count = session ? await window.throwStore.countThrowsBySession(session.id) : 0;
+            document.getElementById('coachSessionInfo').textContent = session
+                ? `Saving to ${session.name} (${count} throw${count === 1 ? '' : 's'})`
+                : 'Throws received will start a new session';
+        } catch (error) {
+            console.error('Error loading session:', error);
+        }
+    }
+
+    updateUI(state) {
+        const connected = !!this.link;
+        document.getElementById('coachConnectBtn').textContent = connected ? 'Disconnect' : 'Connect';
+        document.getElementById('coachPairInput').disabled = connected;
+        document.getElementById('coachRelayUrl').disabled = connected;
+        document.getElementById('coachLinkStatus').textContent = LiveLink.stateLabel(state);
+
+        const linked = connected && ['relay', 'direct'].includes(state);
+        const status = linked ? this.status : null;
+        document.getElementById('coachRecordBtn').disabled = !status || (!!status.armState && status.state !== 'recording');
+        document.getElementById('coachRecordBtn').textContent = status && status.state === 'recording' ? '⏹️ Stop' : '⏺️ Start';
+        document.getElementById('coachArmBtn').disabled = !status || status.state === 'recording' || status.practiceMode;
+        document.getElementById('coachArmBtn').textContent = status && status.armState ? 'Disarm' : '🎯 Arm';
+
+        const stateLabels = { idle: 'Ready', armed: 'Armed', recording: 'Recording' };
+        document.getElementById('coachAthleteState').textContent = status
+            ? `${status.athleteName}: ${stateLabels[status.state]} · ${ThrowTypes.describe(status)}` +
+                (status.practiceMode ? ` · practice end, ${status.practiceThrows} saved` : '')
+            : 'Waiting for the athlete\'s phone';
+    }
+
+    createLiveCharts() {
+        this.charts.accel = this.createChart('coachAccelChart', 'Acceleration (m/s²)', [
+            { label: 'X', color: '#e53e3e' },
+            { label: 'Y', color: '#38a169' },
+            { label: 'Z', color: '#3182ce' }
+        ]);
+        this.charts.gyro = this.createChart('coachGyroChart', 'Rotation rate (°/s)', [
+            { label: 'Pitch', color: '#d69e2e' },
+            { label: 'Roll', color: '#805ad5' },
+            { label: 'Yaw', color: '#dd6b20' }
+        ]);
+        this.charts.throw = this.createChart('coachThrowChart', 'Forward (m/s² / m/s)', [
+            { label: 'Forward Acceleration', color: '#667eea' },
+            { label: 'Velocity', color: '#48bb78' }
+        ]);
+    }
+
+    createChart(canvasId, yTitle, series) {
+        const ctx = document.getElementById(canvasId).getContext('2d');
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: series.map(s => ({
+                    label: s.label,
+                    data: [],
+                    borderColor: s.color,
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0.1
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Time (seconds)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: yTitle
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        });
+    }
+
+    renderLive() {
+        if (!this.liveDirty) return;
+        this.liveDirty = false;
+
+        [['accel', this.live.accel], ['gyro', this.live.gyro]].forEach(([key, group]) => {
+            const chart = this.charts[key];
+            chart.data.datasets[0].data = group.x;
+            chart.data.datasets[1].data = group.y;
+            chart.data.datasets[2].data = group.z;
+            chart.update('none');
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.coachView = new CoachView();
+});
@@ -2,14 +2,26 @@ class TrainingSessionAnalyzer {
     constructor() {
         this.throws = [];
         this.currentSession = null;
+        this.sessions = [];
+        this.trendSessionIds = new Set();
+        this.loadedTrendThrows = [];
+        this.trendThrows = [];
+        this.throwFilter = { athleteId: '', category: '', turn: '' };
+        this.athletes = [];
+        this.splitCalibrations = {};
+        this.references = [];
+        this.detailIndex = null;
+        this.leaderboardMetric = 'pushoffStrength';
+        this.pendingImport = null;
         this.charts = {};
         
         this.init();
     }
 
-    init() {
-        this.loadSessionData();
+    async init() {
         this.setupEventListeners();
+        this.overlay = new ThrowOverlay(this);
+        await this.loadSessionData();
         this.updateUI();
         this.trackPageView();
     }
@@ -23,28 +35,23 @@ class TrainingSessionAnalyzer {
         }
     }
 
-    loadSessionData() {
+    async loadSessionData() {
         try {
-            // Load current session
-            const sessionData = localStorage.getItem('curling_current_session');
-            if (sessionData) {
-                this.currentSession = JSON.parse(sessionData);
-            }
+            // Load current session, creating one on first visit
+            this.currentSession = await window.throwStore.getOrCreateCurrentSession();
 
             // Load throws data
-            const throwsData = localStorage.getItem('curling_session_throws');
-            if (throwsData) {
-                this.throws = JSON.parse(throwsData);
-            }
+            this.throws = await window.throwStore.getThrowsBySession(this.currentSession.id);
 
-            // Initialize session if needed
-            if (!this.currentSession && this.throws.length === 0) {
-                this.startNewSession();
-            }
+            await this.loadSessionLibrary();
+            await this.loadAthletes();
+            this.references = await window.throwStore.getReferences();
+            await this.loadTrendThrows();
 
             console.log('Loaded session data:', {
                 session: this.currentSession,
-                throwCount: this.throws.length
+                throwCount: this.throws.length,
+                sessionCount: this.sessions.length
             });
         } catch (error) {
             console.error('Error loading session data:', error);
@@ -53,13 +60,133 @@ class TrainingSessionAnalyzer {
         }
     }
 
-    saveSessionData() {
+    async loadSessionLibrary() {
+        const sessions = await window.throwStore.getSessions();
+        this.sessions = await Promise.all(sessions.map(async (session) => ({
+            ...session,
+            throwCount: await window.throwStore.countThrowsBySession(session.id)
+        })));
+
+        // Newest first, and forget selections for sessions that no longer exist
+        this.sessions.reverse();
+        const knownIds = new Set(this.sessions.map(s => s.id));
+        this.trendSessionIds.forEach(id => {
+            if (!knownIds.has(id)) this.trendSessionIds.delete(id);
+        });
+        if (this.trendSessionIds.size === 0) {
+            this.trendSessionIds.add(this.currentSession.id);
+        }
+    }
+
+    async loadAthletes() {
+        const athletes = await window.throwStore.getAthletes();
+        const ids = [window.throwStore.guestAthleteId].concat(athletes.map(a => a.id));
+        const history = await Promise.all(ids.map(id => window.throwStore.getThrowsByAthlete(id)));
+
+        this.athletes = athletes.map((athlete, i) => ({ ...athlete, throwCount: history[i + 1].length }));
+        this.splitCalibrations = {};
+        ids.forEach((id, i) => {
+            const calibration = SplitCalibration.fromThrows(history[i]);
+            if (calibration) this.splitCalibrations[id] = calibration;
+        });
+
+        // A removed athlete can't stay selected in the filter
+        if (this.throwFilter.athleteId && !ids.includes(this.throwFilter.athleteId)) {
+            this.throwFilter.athleteId = '';
+        }
+    }
+
+    async loadTrendThrows() {
+        const throwsPerSession = await Promise.all(
+            [...this.trendSessionIds].map(id => window.throwStore.getThrowsBySession(id))
+        );
+        this.loadedTrendThrows = throwsPerSession
+            .flat()
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        this.trendThrows = this.loadedTrendThrows.filter(t => this.matchesFilter(t));
+    }
+
+    // '' means any; category 'untagged' picks throws recorded without a type
+    matchesFilter(throwData, ignoreAthlete = false) {
+        const { athleteId, category, turn } = this.throwFilter;
+        if (athleteId && !ignoreAthlete && this.athleteOf(throwData) !== athleteId) return false;
+        if (category === 'untagged' && throwData.category) return false;
+        if (category && category !== 'untagged' && throwData.category !== category) return false;
+        if (turn && throwData.turn !== turn) return false;
+        return true;
+    }
+
+    athleteOf(throwData) {
+        return throwData.athleteId || window.throwStore.guestAthleteId;
+    }
+
+    getFilteredThrows() {
+        return this.throws.filter(t => this.matchesFilter(t));
+    }
+
+    setFilter(field, value) {
+        this.throwFilter[field] = value;
+        this.trendThrows = this.loadedTrendThrows.filter(t => this.matchesFilter(t));
+        this.closeIndividualAnalysis();
+        this.updateUI();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('throws_filtered', { ...this.throwFilter });
+        }
+    }
+
+    // Bulk split entry straight from the comparison table
+    async setMeasuredSplit(index, value) {
+        const throwData = this.throws[index];
+        if (!throwData) return;
+
+        const measuredSplit = value === '' ? null : parseFloat(value);
+        if (measuredSplit !== null && !(measuredSplit > 0 && measuredSplit < 60)) {
+            alert('Enter the hog-to-hog split in seconds, e.g. 13.8');
+            this.updateComparisonTable();
+            return;
+        }
+
+        try {
+            await window.throwStore.updateThrow(throwData.id, { measuredSplit });
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error saving split:', error);
+            return;
+        }
+        this.updateQuickStats();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('split_recorded', { measuredSplit, source: 'comparison' });
+        }
+    }
+
+    async setThrowAthlete(index, athleteId) {
+        const throwData = this.throws[index];
+        if (!throwData) return;
+
+        try {
+            await window.throwStore.updateThrow(throwData.id, { athleteId });
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error reassigning throw:', error);
+            return;
+        }
+        this.updateUI();
+    }
+
+    async setThrowType(index, field, value) {
+        const throwData = this.throws[index];
+        if (!throwData) return;
+
         try {
-            localStorage.setItem('curling_current_session', JSON.stringify(this.currentSession));
-            localStorage.setItem('curling_session_throws', JSON.stringify(this.throws));
+            await window.throwStore.updateThrow(throwData.id, { [field]: value || null });
+            await this.loadSessionData();
         } catch (error) {
-            console.error('Error saving session data:', error);
+            console.error('Error updating throw type:', error);
+            return;
         }
+        this.updateUI();
     }
 
     setupEventListeners() {
@@ -72,69 +199,184 @@ class TrainingSessionAnalyzer {
             this.exportSessionData();
         });
 
+        document.getElementById('exportCsvBtn').addEventListener('click', () => {
+            this.exportThrowsCsv();
+        });
+
+        document.getElementById('exportRawCsvBtn').addEventListener('click', () => {
+            this.exportSamplesCsv();
+        });
+
+        // Import
+        const importFile = document.getElementById('importFile');
+        document.getElementById('importBtn').addEventListener('click', () => {
+            importFile.click();
+        });
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length > 0) this.prepareImport(importFile.files);
+            importFile.value = '';
+        });
+        document.getElementById('importConfirmBtn').addEventListener('click', () => {
+            this.confirmImport();
+        });
+        document.getElementById('importCancelBtn').addEventListener('click', () => {
+            this.cancelImport();
+        });
+
+        // Throw type filter
+        const categoryFilter = document.getElementById('categoryFilter');
+        const turnFilter = document.getElementById('turnFilter');
+        categoryFilter.innerHTML = ThrowTypes.options(
+            ThrowTypes.categories().concat([{ value: 'untagged', label: 'Untagged' }]), '', 'All weights');
+        turnFilter.innerHTML = ThrowTypes.options(ThrowTypes.turns(), '', 'Both turns');
+        categoryFilter.addEventListener('change', () => this.setFilter('category', categoryFilter.value));
+        turnFilter.addEventListener('change', () => this.setFilter('turn', turnFilter.value));
+        document.getElementById('athleteFilter').addEventListener('change', (event) => {
+            this.setFilter('athleteId', event.target.value);
+        });
+
+        // Roster and leaderboard
+        const handSelect = document.getElementById('newAthleteHand');
+        const aidSelect = document.getElementById('newAthleteAid');
+        handSelect.innerHTML = ThrowTypes.options(AthleteRoster.hands(), 'right', null);
+        aidSelect.innerHTML = ThrowTypes.options(AthleteRoster.aids(), 'brush', null);
+        document.getElementById('addAthleteBtn').addEventListener('click', () => {
+            this.addAthlete();
+        });
+        const metricSelect = document.getElementById('leaderboardMetric');
+        metricSelect.innerHTML = this.leaderboardMetrics()
+            .map(m => `<option value="${m.key}">${m.label}</option>`)
+            .join('');
+        metricSelect.addEventListener('change', () => {
+            this.leaderboardMetric = metricSelect.value;
+            this.updateLeaderboard();
+        });
+
+        // Reference deliveries
+        document.getElementById('setReferenceBtn').addEventListener('click', () => {
+            const throwData = this.throws[this.detailIndex];
+            if (throwData) this.setReferenceFromThrows([throwData]);
+        });
+        document.getElementById('overlayReferenceBtn').addEventListener('click', () => {
+            this.setReferenceFromThrows(this.overlay.selectedThrows());
+        });
+
         // Individual analysis close button
         document.getElementById('closeAnalysisBtn').addEventListener('click', () => {
             this.closeIndividualAnalysis();
         });
 
         // Listen for new throw data from main page
-        window.addEventListener('storage', (e) => {
-            if (e.key === 'curling_session_throws') {
-                console.log('Storage event detected for session throws');
-                this.loadSessionData();
-                this.updateUI();
-            }
+        window.throwStore.onChange(async (change) => {
+            console.log('Store change detected:', change);
+            await this.loadSessionData();
+            this.updateUI();
         });
+    }
+
+    async startNewSession() {
+        // Earlier sessions stay in the library; new throws go to the new one
+        try {
+            const session = await window.throwStore.createSession();
+            this.trendSessionIds = new Set([session.id]);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error starting new session:', error);
+            return;
+        }
+
+        this.updateUI();
 
-        // Check for new throw on page load
-        this.checkForNewThrow();
+        if (window.analytics) {
+            window.analytics.trackEvent('new_session_started');
+        }
     }
 
-    checkForNewThrow() {
-        // Just reload data when page loads
-        this.loadSessionData();
+    async openSession(sessionId) {
+        window.throwStore.setCurrentSessionId(sessionId);
+        this.trendSessionIds.add(sessionId);
+        this.closeIndividualAnalysis();
+        await this.loadSessionData();
+        this.updateUI();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('session_opened', { sessionId });
+        }
     }
 
-    startNewSession() {
-        if (this.throws.length > 0) {
-            const confirmed = confirm('Start a new session? This will clear all current throw data.');
-            if (!confirmed) return;
+    async renameSession(sessionId) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        if (!session) return;
+
+        const name = prompt('Session name:', session.name);
+        if (!name || !name.trim()) return;
+
+        try {
+            const { throwCount, ...stored } = session;
+            await window.throwStore.saveSession({ ...stored, name: name.trim() });
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error renaming session:', error);
+            return;
         }
+        this.updateUI();
+    }
 
-        this.currentSession = {
-            id: 'session_' + Date.now(),
-            startTime: new Date().toISOString(),
-            name: `Session ${new Date().toLocaleDateString()}`
-        };
+    async deleteSession(sessionId) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        if (!session) return;
 
-        this.throws = [];
-        // Clear localStorage too
-        localStorage.removeItem('curling_session_throws');
-        localStorage.removeItem('curling_current_session');
-        localStorage.removeItem('curling_latest_throw');
-        
-        this.saveSessionData();
+        const confirmed = confirm(`Delete "${session.name}" and its ${session.throwCount} throws? This cannot be undone.`);
+        if (!confirmed) return;
+
+        try {
+            await window.throwStore.deleteSession(sessionId);
+            this.trendSessionIds.delete(sessionId);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error deleting session:', error);
+            return;
+        }
         this.updateUI();
 
         if (window.analytics) {
-            window.analytics.trackEvent('new_session_started');
+            window.analytics.trackEvent('session_deleted', { throwCount: session.throwCount });
+        }
+    }
+
+    async toggleTrendSession(sessionId, selected) {
+        if (selected) {
+            this.trendSessionIds.add(sessionId);
+        } else {
+            this.trendSessionIds.delete(sessionId);
         }
+
+        await this.loadTrendThrows();
+        this.updateTrendCharts();
+        this.toggleSections();
     }
 
-    exportSessionData() {
+    async exportSessionData() {
+        // Reattach raw traces so the export carries everything the store holds
+        const throws = await Promise.all(this.throws.map(async (throwData) => ({
+            ...throwData,
+            rawData: await window.throwStore.getSamples(throwData.id)
+        })));
+
         const exportData = {
             session: this.currentSession,
-            throws: this.throws,
+            athletes: this.athletes.map(({ throwCount, ...athlete }) => athlete),
+            throws: throws,
             exportDate: new Date().toISOString(),
-            summary: this.calculateSessionSummary()
+            summary: this.calculateSessionSummary(),
+            summaryByType: this.calculateTypeSummaries()
         };
 
         const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        a.download = `curling-session-${this.currentSession.id}-${timestamp}.json`;
+        a.download = this.exportFilename('', 'json');
         a.click();
         URL.revokeObjectURL(url);
 
@@ -145,11 +387,184 @@ class TrainingSessionAnalyzer {
         }
     }
 
+    // Per-throw metrics, one row per throw, for spreadsheets
+    exportThrowsCsv() {
+        SessionCsv.download(this.exportFilename('-throws', 'csv'), SessionCsv.throwsToCsv(this.throws, this.athletes));
+
+        if (window.analytics) {
+            window.analytics.trackEvent('session_exported', { throwCount: this.throws.length, format: 'csv' });
+        }
+    }
+
+    // Raw traces in long format: one row per sample, keyed by throw id
+    async exportSamplesCsv() {
+        let traces;
+        try {
+            traces = await Promise.all(this.throws.map(async (throwData) => ({
+                throwId: throwData.id,
+                rawData: await window.throwStore.getSamples(throwData.id)
+            })));
+        } catch (error) {
+            console.error('Error loading raw samples for export:', error);
+            alert('Error exporting raw data: ' + error.message);
+            return;
+        }
+
+        const withTraces = traces.filter(t => t.rawData);
+        if (withTraces.length === 0) {
+            alert('None of the throws in this session have raw sensor traces stored.');
+            return;
+        }
+        SessionCsv.download(this.exportFilename('-samples', 'csv'), SessionCsv.samplesToCsv(withTraces));
+
+        if (window.analytics) {
+            window.analytics.trackEvent('session_exported', { throwCount: withTraces.length, format: 'raw_csv' });
+        }
+    }
+
+    // Parse and validate the picked files, then let the user choose where the throws go
+    async prepareImport(files) {
+        let parsed;
+        try {
+            parsed = await new SessionImporter().readFiles([...files]);
+        } catch (error) {
+            console.error('Error reading import files:', error);
+            alert('Error reading files: ' + error.message);
+            return;
+        }
+
+        // Skip throws already in the app, and repeats across the picked files
+        const seen = new Set();
+        const fresh = [];
+        let duplicates = 0;
+        for (const throwData of parsed.throws) {
+            const key = String(throwData.id);
+            if (seen.has(key) || await window.throwStore.getThrow(throwData.id)) {
+                duplicates++;
+                continue;
+            }
+            seen.add(key);
+            fresh.push(throwData);
+        }
+
+        this.pendingImport = { ...parsed, throws: fresh, duplicates };
+
+        const withTraces = fresh.filter(t => t.rawData).length;
+        document.getElementById('importSummary').textContent =
+            `${fresh.length} new throws found (${withTraces} with raw traces). ` +
+            `${duplicates} already in the app${parsed.errors.length > 0 ? `, ${parsed.errors.length} problems` : ''}.`;
+
+        const errorList = document.getElementById('importErrors');
+        errorList.innerHTML = '';
+        parsed.errors.slice(0, 10).forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            errorList.appendChild(item);
+        });
+        if (parsed.errors.length > 10) {
+            const item = document.createElement('li');
+            item.textContent = `...and ${parsed.errors.length - 10} more`;
+            errorList.appendChild(item);
+        }
+
+        document.getElementById('importSessionName').value = parsed.sessionName || `Imported ${new Date().toLocaleDateString()}`;
+        document.getElementById('importConfirmBtn').disabled = fresh.length === 0;
+        document.getElementById('importPanel').style.display = 'block';
+    }
+
+    async confirmImport() {
+        const pending = this.pendingImport;
+        if (!pending || pending.throws.length === 0) return;
+
+        const target = document.querySelector('input[name="importTarget"]:checked').value;
+        try {
+            let session = this.currentSession;
+            if (target === 'new') {
+                const name = document.getElementById('importSessionName').value.trim();
+                session = await window.throwStore.createSession(name || undefined);
+                this.trendSessionIds = new Set([session.id]);
+            }
+
+            const athleteIds = {};
+            const throws = [];
+            for (const throwData of pending.throws) {
+                const { athleteName, ...stored } = throwData;
+                stored.sessionId = session.id;
+                stored.athleteId = await this.resolveImportedAthlete(throwData, pending.athletes, athleteIds);
+                throws.push(stored);
+            }
+            await window.throwStore.saveThrows(throws);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error importing throws:', error);
+            alert('Error importing throws: ' + error.message);
+            return;
+        }
+
+        this.cancelImport();
+        this.updateUI();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('session_imported', {
+                throwCount: pending.throws.length,
+                duplicates: pending.duplicates,
+                target
+            });
+        }
+    }
+
+    cancelImport() {
+        this.pendingImport = null;
+        document.getElementById('importPanel').style.display = 'none';
+    }
+
+    // Imported athletes join the roster, reusing an existing athlete with the same name
+    async resolveImportedAthlete(throwData, exportedAthletes, cache) {
+        const guestId = window.throwStore.guestAthleteId;
+        const key = throwData.athleteName !== undefined ? 'name:' + throwData.athleteName : 'id:' + throwData.athleteId;
+        if (cache[key]) return cache[key];
+
+        let athleteId = guestId;
+        const exported = exportedAthletes.find(a => a.id === throwData.athleteId);
+        const name = throwData.athleteName !== undefined ? throwData.athleteName : exported && exported.name;
+        const roster = await window.throwStore.getAthletes();
+
+        if (throwData.athleteId && roster.some(a => a.id === throwData.athleteId)) {
+            athleteId = throwData.athleteId;
+        } else if (name && name !== AthleteRoster.guestName()) {
+            const sameName = roster.find(a => a.name.toLowerCase() === name.toLowerCase());
+            if (sameName) {
+                athleteId = sameName.id;
+            } else if (exported) {
+                athleteId = (await window.throwStore.saveAthlete({ createdAt: new Date().toISOString(), ...exported })).id;
+            } else {
+                athleteId = (await window.throwStore.createAthlete({ name })).id;
+            }
+        } else if (throwData.athleteId && throwData.athleteId !== guestId && !name) {
+            // Unknown athlete without a profile in the file: keep the id so history stays grouped
+            athleteId = throwData.athleteId;
+        }
+
+        cache[key] = athleteId;
+        return athleteId;
+    }
+
+    exportFilename(suffix, extension) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        return `curling-session-${this.currentSession.id}-${timestamp}${suffix}.${extension}`;
+    }
+
     updateUI() {
         this.updateSessionInfo();
+        this.updateSessionLibrary();
+        this.updateRoster();
+        this.updateReferences();
         this.updateQuickStats();
+        this.updateTypeBaselines();
+        this.updateLeaderboard();
         this.updateTrendCharts();
         this.updateComparisonTable();
+        this.overlay.update();
         this.toggleSections();
     }
 
@@ -157,6 +572,7 @@ class TrainingSessionAnalyzer {
         document.getElementById('throwCount').textContent = this.throws.length;
         
         if (this.currentSession) {
+            document.getElementById('sessionName').textContent = this.currentSession.name;
             const startTime = new Date(this.currentSession.startTime);
             const duration = Math.floor((Date.now() - startTime.getTime()) / (1000 * 60));
             document.getElementById('sessionDuration').textContent = `${duration} min`;
@@ -164,10 +580,346 @@ class TrainingSessionAnalyzer {
         }
     }
 
+    updateSessionLibrary() {
+        const tbody = document.getElementById('sessionLibraryBody');
+        tbody.innerHTML = '';
+
+        this.sessions.forEach(session => {
+            const row = document.createElement('tr');
+            const isCurrent = this.currentSession && session.id === this.currentSession.id;
+            const started = new Date(session.startTime);
+            if (isCurrent) row.classList.add('current-session');
+
+            row.innerHTML = `
+                <td><input type="checkbox" class="trend-toggle" ${this.trendSessionIds.has(session.id) ? 'checked' : ''}
+                    onchange="window.sessionAnalyzer.toggleTrendSession('${this.jsString(session.id)}', this.checked)"></td>
+                <td class="session-name">${this.escapeHtml(session.name)}${isCurrent ? ' <span class="current-badge">current</span>' : ''}</td>
+                <td>${started.toLocaleDateString()} ${started.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</td>
+                <td>${session.throwCount}</td>
+                <td class="table-actions">
+                    <button class="table-btn view" onclick="window.sessionAnalyzer.openSession('${this.jsString(session.id)}')" ${isCurrent ? 'disabled' : ''}>Open</button>
+                    <button class="table-btn rename" onclick="window.sessionAnalyzer.renameSession('${this.jsString(session.id)}')">Rename</button>
+                    <button class="table-btn delete" onclick="window.sessionAnalyzer.deleteSession('${this.jsString(session.id)}')">Delete</button>
+                </td>
+            `;
+
+            tbody.appendChild(row);
+        });
+    }
+
+    // Roster entries plus a removed athlete that still owns throws
+    athleteOptions(selected) {
+        const options = AthleteRoster.options(this.athletes, selected);
+        if (selected === window.throwStore.guestAthleteId || this.athletes.some(a => a.id === selected)) {
+            return options;
+        }
+        return options + `<option value="${this.escapeHtml(selected)}" selected>${this.escapeHtml(AthleteRoster.nameFor(selected, this.athletes))}</option>`;
+    }
+
+    updateRoster() {
+        const filter = document.getElementById('athleteFilter');
+        filter.innerHTML = '<option value="">All athletes</option>' +
+            AthleteRoster.options(this.athletes, this.throwFilter.athleteId);
+
+        const tbody = document.getElementById('rosterBody');
+        tbody.innerHTML = '';
+        this.athletes.forEach(athlete => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td class="session-name">${this.escapeHtml(athlete.name)}</td>
+                <td>
+                    <select onchange="window.sessionAnalyzer.updateAthlete('${this.jsString(athlete.id)}', 'hand', this.value)">
+                        ${ThrowTypes.options(AthleteRoster.hands(), athlete.hand, null)}
+                    </select>
+                </td>
+                <td>
+                    <select onchange="window.sessionAnalyzer.updateAthlete('${this.jsString(athlete.id)}', 'aid', this.value)">
+                        ${ThrowTypes.options(AthleteRoster.aids(), athlete.aid, null)}
+                    </select>
+                </td>
+                <td>${athlete.throwCount}</td>
+                <td class="table-actions">
+                    <button class="table-btn view" onclick="window.sessionAnalyzer.showAthleteHistory('${this.jsString(athlete.id)}')">History</button>
+                    <button class="table-btn rename" onclick="window.sessionAnalyzer.renameAthlete('${this.jsString(athlete.id)}')">Rename</button>
+                    <button class="table-btn delete" onclick="window.sessionAnalyzer.deleteAthlete('${this.jsString(athlete.id)}')">Delete</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('rosterEmpty').style.display = this.athletes.length === 0 ? 'block' : 'none';
+    }
+
+    async addAthlete() {
+        const nameInput = document.getElementById('newAthleteName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+
+        try {
+            await window.throwStore.createAthlete({
+                name,
+                hand: document.getElementById('newAthleteHand').value,
+                aid: document.getElementById('newAthleteAid').value
+            });
+            nameInput.value = '';
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error adding athlete:', error);
+            return;
+        }
+        this.updateUI();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('athlete_added', { rosterSize: this.athletes.length });
+        }
+    }
+
+    async updateAthlete(athleteId, field, value) {
+        const athlete = this.athletes.find(a => a.id === athleteId);
+        if (!athlete) return;
+
+        try {
+            const { throwCount, ...stored } = athlete;
+            await window.throwStore.saveAthlete({ ...stored, [field]: value });
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error updating athlete:', error);
+            return;
+        }
+        this.updateUI();
+    }
+
+    async renameAthlete(athleteId) {
+        const athlete = this.athletes.find(a => a.id === athleteId);
+        if (!athlete) return;
+
+        const name = prompt('Athlete name:', athlete.name);
+        if (!name || !name.trim()) return;
+        await this.updateAthlete(athleteId, 'name', name.trim());
+    }
+
+    async deleteAthlete(athleteId) {
+        const athlete = this.athletes.find(a => a.id === athleteId);
+        if (!athlete) return;
+
+        const confirmed = confirm(`Remove ${athlete.name} from the roster? Their ${athlete.throwCount} throws stay in session history.`);
+        if (!confirmed) return;
+
+        try {
+            await window.throwStore.deleteAthlete(athleteId);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error deleting athlete:', error);
+            return;
+        }
+        this.updateUI();
+    }
+
+    // Plot every session the athlete threw in, filtered to their throws
+    async showAthleteHistory(athleteId) {
+        try {
+            const throws = await window.throwStore.getThrowsByAthlete(athleteId);
+            const sessionIds = [...new Set(throws.map(t => t.sessionId))];
+            if (sessionIds.length === 0) {
+                alert('No throws recorded for this athlete yet.');
+                return;
+            }
+
+            this.trendSessionIds = new Set(sessionIds);
+            this.throwFilter.athleteId = athleteId;
+            await this.loadTrendThrows();
+        } catch (error) {
+            console.error('Error loading athlete history:', error);
+            return;
+        }
+        this.updateUI();
+        document.getElementById('trendSection').scrollIntoView({ behavior: 'smooth' });
+
+        if (window.analytics) {
+            window.analytics.trackEvent('athlete_history_viewed', { sessionCount: this.trendSessionIds.size });
+        }
+    }
+
+    // One throw, or the average of several, becomes the athlete's reference for that weight
+    async setReferenceFromThrows(throws) {
+        if (throws.length === 0) return;
+
+        const athleteId = this.athleteOf(throws[0]);
+        const category = throws[0].category;
+        if (!category) {
+            alert('Tag the weight of the throw first. References are kept per athlete and weight.');
+            return;
+        }
+        if (throws.some(t => this.athleteOf(t) !== athleteId || t.category !== category)) {
+            alert('A reference has to come from one athlete\'s throws of a single weight.');
+            return;
+        }
+
+        const name = AthleteRoster.nameFor(athleteId, this.athletes);
+        const weight = ThrowTypes.categoryLabel(category);
+        const existing = this.references.some(r => r.id === window.throwStore.referenceId(athleteId, category));
+        if (existing && !confirm(`Replace ${name}'s ${weight} reference?`)) return;
+
+        try {
+            const samples = await Promise.all(throws.map(t => window.throwStore.getSamples(t.id)));
+            if (samples.some(rawData => !rawData || !rawData.acceleration)) {
+                alert('Every reference throw needs its raw sensor trace.');
+                return;
+            }
+
+            const record = ReferenceDelivery.build(athleteId, category,
+                throws.map((throwData, i) => ({ throwData, rawData: samples[i] })));
+            if (!record) {
+                alert('These throws don\'t overlap in time, so they can\'t be averaged.');
+                return;
+            }
+            await window.throwStore.saveReference(record);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error saving reference delivery:', error);
+            alert('Error saving reference: ' + error.message);
+            return;
+        }
+        this.updateUI();
+        alert(`${name}'s ${weight} reference is set. New ${weight.toLowerCase()} throws are scored against it.`);
+
+        if (window.analytics) {
+            window.analytics.trackEvent('reference_set', { category, throwCount: throws.length });
+        }
+    }
+
+    updateReferences() {
+        const tbody = document.getElementById('referenceBody');
+        tbody.innerHTML = '';
+        this.references.forEach(reference => {
+            const count = reference.throwIds.length;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td class="session-name">${this.escapeHtml(AthleteRoster.nameFor(reference.athleteId, this.athletes))}</td>
+                <td>${ThrowTypes.categoryLabel(reference.category)}</td>
+                <td>${count === 1 ? '1 throw' : `Average of ${count} throws`}</td>
+                <td>${new Date(reference.createdAt).toLocaleDateString()}</td>
+                <td class="table-actions">
+                    <button class="table-btn delete" onclick="window.sessionAnalyzer.deleteReference('${this.jsString(reference.id)}')">Delete</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('referenceSection').style.display = this.references.length > 0 ? 'block' : 'none';
+    }
+
+    async deleteReference(referenceId) {
+        const reference = this.references.find(r => r.id === referenceId);
+        if (!reference) return;
+
+        const name = AthleteRoster.nameFor(reference.athleteId, this.athletes);
+        if (!confirm(`Delete ${name}'s ${ThrowTypes.categoryLabel(reference.category)} reference?`)) return;
+
+        try {
+            await window.throwStore.deleteReference(referenceId);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error deleting reference delivery:', error);
+            return;
+        }
+        this.updateUI();
+    }
+
+    leaderboardMetrics() {
+        return [
+            { key: 'pushoffStrength', label: 'Push-off Strength', unit: 'm/s²', digits: 2, better: 'high' },
+            { key: 'peakVelocity', label: 'Peak Velocity', unit: 'm/s', digits: 2, better: 'high' },
+            { key: 'releaseVelocity', label: 'Release Velocity', unit: 'm/s', digits: 2, better: 'high' },
+            { key: 'stabilityScore', label: 'Stability', unit: '%', digits: 0, better: 'high' },
+            { key: 'decelRate', label: 'Deceleration (drag)', unit: 'm/s²', digits: 3, better: 'low' },
+            { key: 'consistency', label: 'Consistency', unit: '%', digits: 0, better: 'high' }
+        ];
+    }
+
+    // Ranks athletes over the throws in the trend sessions, honouring the type filter
+    calculateLeaderboard(metricKey) {
+        const metric = this.leaderboardMetrics().find(m => m.key === metricKey);
+        const throws = this.loadedTrendThrows.filter(t => this.matchesFilter(t, true));
+        const byAthlete = {};
+        throws.forEach(t => {
+            const id = this.athleteOf(t);
+            (byAthlete[id] = byAthlete[id] || []).push(t);
+        });
+
+        const rows = Object.entries(byAthlete).map(([athleteId, athleteThrows]) => {
+            let average = null;
+            let best = null;
+            if (metric.key === 'consistency') {
+                // One throw has no spread to measure
+                if (athleteThrows.length > 1) average = this.calculateSessionSummary(athleteThrows).consistency;
+            } else {
+                const values = athleteThrows
+                    .map(t => t[metric.key])
+                    .filter(v => typeof v === 'number');
+                if (values.length > 0) {
+                    average = values.reduce((a, b) => a + b, 0) / values.length;
+                    best = metric.better === 'high' ? Math.max(...values) : Math.min(...values);
+                }
+            }
+            return { athleteId, name: AthleteRoster.nameFor(athleteId, this.athletes), throwCount: athleteThrows.length, average, best };
+        }).filter(row => row.average !== null);
+
+        rows.sort((a, b) => metric.better === 'high' ? b.average - a.average : a.average - b.average);
+        return { metric, rows };
+    }
+
+    updateLeaderboard() {
+        const { metric, rows } = this.calculateLeaderboard(this.leaderboardMetric);
+        const tbody = document.getElementById('leaderboardBody');
+        tbody.innerHTML = '';
+
+        rows.forEach((row, i) => {
+            const tr = document.createElement('tr');
+            if (row.athleteId === this.throwFilter.athleteId) tr.classList.add('current-session');
+            tr.innerHTML = `
+                <td class="throw-number">${i + 1}</td>
+                <td>${this.escapeHtml(row.name)}</td>
+                <td>${row.throwCount}</td>
+                <td>${row.average.toFixed(metric.digits)} ${metric.unit}</td>
+                <td>${row.best !== null ? `${row.best.toFixed(metric.digits)} ${metric.unit}` : '-'}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        document.getElementById('leaderboardSection').style.display = rows.length > 1 ? 'block' : 'none';
+    }
+
+    // Safe in element content and in quoted attributes
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // An id as a single-quoted string argument inside an inline handler attribute. The
+    // attribute is decoded before the script runs, so quotes are escaped for JS as well.
+    jsString(text) {
+        return this.escapeHtml(String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/[\r\n]/g, ' '));
+    }
+
     updateQuickStats() {
         if (this.throws.length === 0) return;
 
-        const summary = this.calculateSessionSummary();
+        const filtered = this.getFilteredThrows();
+        document.getElementById('filteredCount').textContent = filtered.length;
+        document.getElementById('splitFit').textContent = this.describeSplitFit();
+        if (filtered.length === 0) {
+            ['avgPushoff', 'avgVelocity', 'avgStability', 'bestGlide', 'consistency', 'improvement']
+                .forEach(id => { document.getElementById(id).textContent = '-'; });
+            return;
+        }
+
+        // Consistency is only meaningful against throws of the same intended weight
+        const summary = this.calculateSessionSummary(filtered);
         
         document.getElementById('avgPushoff').textContent = summary.avgPushoff.toFixed(2);
         document.getElementById('avgVelocity').textContent = summary.avgVelocity.toFixed(2);
@@ -177,19 +929,35 @@ class TrainingSessionAnalyzer {
         document.getElementById('improvement').textContent = summary.improvement;
     }
 
-    calculateSessionSummary() {
-        if (this.throws.length === 0) return {};
+    // Split fits are per athlete, so the overview only shows one when an athlete is picked
+    describeSplitFit() {
+        const athleteId = this.throwFilter.athleteId;
+        if (!athleteId) {
+            const fitted = Object.keys(this.splitCalibrations).length;
+            return fitted > 0 ? `${fitted} athlete${fitted === 1 ? '' : 's'} fitted` : 'None yet';
+        }
+
+        const calibration = this.splitCalibrations[athleteId];
+        if (calibration) {
+            return `R² ${calibration.fit.rSquared.toFixed(2)} (${calibration.fit.count})`;
+        }
+        const timed = this.throws.filter(t => this.athleteOf(t) === athleteId && t.measuredSplit > 0).length;
+        return `${timed}/${SplitCalibration.minimumThrows()} timed`;
+    }
 
-        const pushoffs = this.throws.map(t => t.pushoffStrength || 0);
-        const velocities = this.throws.map(t => t.peakVelocity || 0);
-        const stabilities = this.throws.map(t => t.stabilityScore || 0);
+    calculateSessionSummary(throws = this.throws) {
+        if (throws.length === 0) return {};
+
+        const pushoffs = throws.map(t => t.pushoffStrength || 0);
+        const velocities = throws.map(t => t.peakVelocity || 0);
+        const stabilities = throws.map(t => t.stabilityScore || 0);
 
         const avgPushoff = pushoffs.reduce((a, b) => a + b, 0) / pushoffs.length;
         const avgVelocity = velocities.reduce((a, b) => a + b, 0) / velocities.length;
         const avgStability = stabilities.reduce((a, b) => a + b, 0) / stabilities.length;
 
         // Best glide efficiency
-        const glideQualities = this.throws.map(t => t.glideEfficiency || 'Good');
+        const glideQualities = throws.map(t => t.glideEfficiency || 'Good');
         const excellentCount = glideQualities.filter(g => g === 'Excellent').length;
         const veryGoodCount = glideQualities.filter(g => g === 'Very Good').length;
         let bestGlide = 'Good';
@@ -205,9 +973,9 @@ class TrainingSessionAnalyzer {
 
         // Improvement trend
         let improvement = 'Stable';
-        if (this.throws.length >= 3) {
-            const recent = this.throws.slice(-3);
-            const early = this.throws.slice(0, 3);
+        if (throws.length >= 3) {
+            const recent = throws.slice(-3);
+            const early = throws.slice(0, 3);
             const recentAvg = recent.reduce((a, t) => a + (t.stabilityScore || 0), 0) / recent.length;
             const earlyAvg = early.reduce((a, t) => a + (t.stabilityScore || 0), 0) / early.length;
             
@@ -225,6 +993,35 @@ class TrainingSessionAnalyzer {
         };
     }
 
+    // One summary per weight category (and untagged), each against like throws only
+    calculateTypeSummaries() {
+        const groups = ThrowTypes.categories().concat([{ value: null, label: 'Untagged' }]);
+        return groups
+            .map(group => {
+                const throws = this.throws.filter(t => (t.category || null) === group.value);
+                return { category: group.value, label: group.label, throwCount: throws.length, ...this.calculateSessionSummary(throws) };
+            })
+            .filter(summary => summary.throwCount > 0);
+    }
+
+    updateTypeBaselines() {
+        const tbody = document.getElementById('typeBaselinesBody');
+        tbody.innerHTML = '';
+
+        this.calculateTypeSummaries().forEach(summary => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td class="throw-number">${summary.label}</td>
+                <td>${summary.throwCount}</td>
+                <td>${summary.avgPushoff.toFixed(2)}</td>
+                <td>${summary.avgVelocity.toFixed(2)}</td>
+                <td>${summary.avgStability.toFixed(0)}%</td>
+                <td>${summary.throwCount > 1 ? summary.consistency.toFixed(0) + '%' : '-'}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
     calculateCV(values) {
         if (values.length === 0) return 0;
         const mean = values.reduce((a, b) => a + b, 0) / values.length;
@@ -234,13 +1031,28 @@ class TrainingSessionAnalyzer {
     }
 
     updateTrendCharts() {
-        if (this.throws.length === 0) return;
+        if (this.trendThrows.length === 0) return;
 
         this.createPushoffTrendChart();
         this.createVelocityStabilityChart();
         this.createDecelTrendChart();
     }
 
+    getTrendLabels() {
+        if (this.trendSessionIds.size <= 1) {
+            return this.trendThrows.map((_, i) => `Throw ${i + 1}`);
+        }
+
+        // Number throws within each session when several are plotted together
+        const counters = {};
+        return this.trendThrows.map(t => {
+            counters[t.sessionId] = (counters[t.sessionId] || 0) + 1;
+            const session = this.sessions.find(s => s.id === t.sessionId);
+            const date = session ? new Date(session.startTime).toLocaleDateString() : '?';
+            return `${date} #${counters[t.sessionId]}`;
+        });
+    }
+
     createPushoffTrendChart() {
         const ctx = document.getElementById('pushoffTrendChart').getContext('2d');
         
@@ -248,8 +1060,8 @@ class TrainingSessionAnalyzer {
             this.charts.pushoffTrend.destroy();
         }
 
-        const labels = this.throws.map((_, i) => `Throw ${i + 1}`);
-        const data = this.throws.map(t => t.pushoffStrength || 0);
+        const labels = this.getTrendLabels();
+        const data = this.trendThrows.map(t => t.pushoffStrength || 0);
 
         this.charts.pushoffTrend = new Chart(ctx, {
             type: 'line',
@@ -295,7 +1107,7 @@ class TrainingSessionAnalyzer {
             this.charts.velocityStability.destroy();
         }
 
-        const labels = this.throws.map((_, i) => `Throw ${i + 1}`);
+        const labels = this.getTrendLabels();
 
         this.charts.velocityStability = new Chart(ctx, {
             type: 'line',
@@ -304,7 +1116,7 @@ class TrainingSessionAnalyzer {
                 datasets: [
                     {
                         label: 'Peak Velocity (m/s)',
-                        data: this.throws.map(t => t.peakVelocity || 0),
+                        data: this.trendThrows.map(t => t.peakVelocity || 0),
                         borderColor: '#4299e1',
                         backgroundColor: 'rgba(66, 153, 225, 0.1)',
                         tension: 0.3,
@@ -314,7 +1126,7 @@ class TrainingSessionAnalyzer {
                     },
                     {
                         label: 'Stability Score (%)',
-                        data: this.throws.map(t => t.stabilityScore || 0),
+                        data: this.trendThrows.map(t => t.stabilityScore || 0),
                         borderColor: '#48bb78',
                         backgroundColor: 'rgba(72, 187, 120, 0.1)',
                         tension: 0.3,
@@ -367,8 +1179,8 @@ class TrainingSessionAnalyzer {
             this.charts.decelTrend.destroy();
         }
 
-        const labels = this.throws.map((_, i) => `Throw ${i + 1}`);
-        const data = this.throws.map(t => t.decelRate || 0);
+        const labels = this.getTrendLabels();
+        const data = this.trendThrows.map(t => t.decelRate || 0);
 
         this.charts.decelTrend = new Chart(ctx, {
             type: 'bar',
@@ -419,18 +1231,39 @@ class TrainingSessionAnalyzer {
         tbody.innerHTML = '';
 
         this.throws.forEach((throwData, index) => {
+            if (!this.matchesFilter(throwData)) return;
+
             const row = document.createElement('tr');
             const time = new Date(throwData.timestamp).toLocaleTimeString();
             
             row.innerHTML = `
+                <td><input type="checkbox" class="overlay-check" ${this.overlay.isSelected(throwData) ? 'checked' : ''}
+                    onchange="window.sessionAnalyzer.toggleOverlayThrow(${index}, this)"></td>
                 <td class="throw-number">#${index + 1}</td>
                 <td>${time}</td>
+                <td>
+                    <select class="athlete-select" onchange="window.sessionAnalyzer.setThrowAthlete(${index}, this.value)">
+                        ${this.athleteOptions(this.athleteOf(throwData))}
+                    </select>
+                </td>
+                <td class="type-cell">
+                    <select onchange="window.sessionAnalyzer.setThrowType(${index}, 'category', this.value)">
+                        ${ThrowTypes.options(ThrowTypes.categories(), throwData.category, 'Untagged')}
+                    </select>
+                    <select onchange="window.sessionAnalyzer.setThrowType(${index}, 'turn', this.value)">
+                        ${ThrowTypes.options(ThrowTypes.turns(), throwData.turn, 'Turn?')}
+                    </select>
+                </td>
                 <td>${(throwData.pushoffStrength || 0).toFixed(2)}</td>
                 <td>${(throwData.peakVelocity || 0).toFixed(2)}</td>
                 <td>${(throwData.slideDuration || 0).toFixed(2)}</td>
                 <td>${(throwData.decelRate || 0).toFixed(3)}</td>
                 <td>${(throwData.stabilityScore || 0).toFixed(0)}%</td>
-                <td class="efficiency-${(throwData.glideEfficiency || 'good').toLowerCase().replace(' ', '-')}">${throwData.glideEfficiency || 'Good'}</td>
+                <td class="efficiency-${this.escapeHtml((throwData.glideEfficiency || 'good').toLowerCase().replace(' ', '-'))}">${this.escapeHtml(throwData.glideEfficiency || 'Good')}</td>
+                <td>${this.escapeHtml(throwData.predictedWeight || '-')}</td>
+                <td><input type="number" class="split-input" min="0" step="0.01" placeholder="-"
+                    value="${this.escapeHtml(throwData.measuredSplit || '')}"
+                    onchange="window.sessionAnalyzer.setMeasuredSplit(${index}, this.value)"></td>
                 <td class="table-actions">
                     <button class="table-btn view" onclick="window.sessionAnalyzer.viewThrowDetails(${index})">View</button>
                     <button class="table-btn delete" onclick="window.sessionAnalyzer.deleteThrow(${index})">Delete</button>
@@ -441,31 +1274,253 @@ class TrainingSessionAnalyzer {
         });
     }
 
-    viewThrowDetails(index) {
+    toggleOverlayThrow(index, checkbox) {
+        const throwData = this.throws[index];
+        if (!throwData) return;
+
+        if (!this.overlay.toggle(throwData, checkbox.checked)) {
+            checkbox.checked = false;
+        }
+    }
+
+    async viewThrowDetails(index) {
         const throwData = this.throws[index];
         if (!throwData) return;
 
+        this.detailIndex = index;
         document.getElementById('analysisTitle').textContent = `Throw #${index + 1} Analysis`;
         document.getElementById('individualAnalysis').style.display = 'block';
 
         this.showDetailedMetrics(throwData);
 
+        let rawData = null;
+        try {
+            rawData = await window.throwStore.getSamples(throwData.id);
+        } catch (error) {
+            console.error('Error loading raw samples:', error);
+        }
+        this.createIndividualCharts(rawData, throwData.phases || []);
+
         if (window.analytics) {
             window.analytics.trackEvent('throw_details_viewed', { throwIndex: index });
         }
     }
 
+    createIndividualCharts(rawData, phases) {
+        const chartsContainer = document.querySelector('#individualAnalysis .analysis-charts');
+        const noTraceMessage = document.getElementById('noTraceMessage');
+
+        if (this.charts.individualAccel) {
+            this.charts.individualAccel.destroy();
+            this.charts.individualAccel = null;
+        }
+        if (this.charts.individualStability) {
+            this.charts.individualStability.destroy();
+            this.charts.individualStability = null;
+        }
+
+        // Throws recorded before raw traces were stored only have summary metrics
+        if (!rawData || !rawData.acceleration || rawData.acceleration.x.length === 0) {
+            chartsContainer.style.display = 'none';
+            noTraceMessage.style.display = 'block';
+            return;
+        }
+
+        chartsContainer.style.display = '';
+        noTraceMessage.style.display = 'none';
+
+        this.createIndividualAccelChart(rawData, phases);
+        this.createIndividualStabilityChart(rawData, phases);
+    }
+
+    createIndividualAccelChart(rawData, phases) {
+        const ctx = document.getElementById('individualAccelChart').getContext('2d');
+
+        this.charts.individualAccel = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: rawData.acceleration.timestamps.map(t => t.toFixed(2)),
+                datasets: [
+                    {
+                        label: 'Forward (push-off & drag)',
+                        data: rawData.acceleration.x,
+                        borderColor: '#f56565',
+                        backgroundColor: 'rgba(245, 101, 101, 0.1)',
+                        tension: 0.1,
+                        borderWidth: 2,
+                        pointRadius: 1,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Velocity',
+                        data: rawData.velocity.x,
+                        borderColor: '#4299e1',
+                        backgroundColor: 'rgba(66, 153, 225, 0.1)',
+                        tension: 0.1,
+                        borderWidth: 3,
+                        pointRadius: 1,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            plugins: [DeliverySegmenter.chartPlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: 'Time (seconds)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Acceleration (m/s²)'
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        display: true,
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Velocity (m/s)'
+                        },
+                        grid: {
+                            drawOnChartArea: false,
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    phaseBands: {
+                        phases: phases
+                    }
+                }
+            }
+        });
+    }
+
+    createIndividualStabilityChart(rawData, phases) {
+        const ctx = document.getElementById('individualStabilityChart').getContext('2d');
+
+        this.charts.individualStability = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: rawData.gyroscope.timestamps.map(t => t.toFixed(2)),
+                datasets: [
+                    {
+                        label: 'Pitch (forward/back tilt)',
+                        data: rawData.gyroscope.x,
+                        borderColor: '#ed8936',
+                        backgroundColor: 'rgba(237, 137, 54, 0.1)',
+                        tension: 0.1,
+                        borderWidth: 2,
+                        pointRadius: 1
+                    },
+                    {
+                        label: 'Roll (side-to-side tilt)',
+                        data: rawData.gyroscope.y,
+                        borderColor: '#9f7aea',
+                        backgroundColor: 'rgba(159, 122, 234, 0.1)',
+                        tension: 0.1,
+                        borderWidth: 2,
+                        pointRadius: 1
+                    },
+                    {
+                        label: 'Yaw (torso rotation)',
+                        data: rawData.gyroscope.z,
+                        borderColor: '#38b2ac',
+                        backgroundColor: 'rgba(56, 178, 172, 0.1)',
+                        tension: 0.1,
+                        borderWidth: 2,
+                        pointRadius: 1
+                    }
+                ]
+            },
+            plugins: [DeliverySegmenter.chartPlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: 'Time (seconds)'
+                        }
+                    },
+                    y: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: 'Angular Velocity (°/s)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    phaseBands: {
+                        phases: phases
+                    }
+                }
+            }
+        });
+    }
+
     showDetailedMetrics(throwData) {
         const metricsContainer = document.getElementById('detailedMetrics');
         metricsContainer.innerHTML = '';
 
         const metrics = [
+            { label: 'Athlete', value: this.escapeHtml(AthleteRoster.nameFor(throwData.athleteId, this.athletes)) },
+            { label: 'Throw Type', value: ThrowTypes.describe(throwData) },
             { label: 'Push-off Strength', value: `${(throwData.pushoffStrength || 0).toFixed(2)} m/s²` },
             { label: 'Peak Velocity', value: `${(throwData.peakVelocity || 0).toFixed(2)} m/s` },
             { label: 'Slide Duration', value: `${(throwData.slideDuration || 0).toFixed(2)} seconds` },
             { label: 'Deceleration Rate', value: `${(throwData.decelRate || 0).toFixed(3)} m/s²` },
             { label: 'Stability Score', value: `${(throwData.stabilityScore || 0).toFixed(0)}%` },
-            { label: 'Glide Efficiency', value: throwData.glideEfficiency || 'Good' },
+            { label: 'Glide Efficiency', value: this.escapeHtml(throwData.glideEfficiency || 'Good') },
+            { label: 'Leg Drive Time', value: throwData.legDriveDuration !== undefined ?
+                `${throwData.legDriveDuration.toFixed(2)} seconds` : 'Not recorded' },
+            { label: 'Glide to Release', value: throwData.glideDuration !== undefined ?
+                `${throwData.glideDuration.toFixed(2)} seconds` : 'Not recorded' },
+            { label: 'Release Velocity', value: throwData.releaseVelocity !== undefined && throwData.releaseVelocity !== null ?
+                `${throwData.releaseVelocity.toFixed(2)} m/s` : 'Not recorded' },
+            { label: 'Predicted Weight', value: this.describePrediction(throwData) },
+            { label: 'Measured Split', value: throwData.measuredSplit ?
+                `${throwData.measuredSplit.toFixed(2)} s hog-to-hog` : 'Not timed' },
+            { label: 'Split From Your Fit', value: this.describeCalibratedSplit(throwData) },
+            { label: 'Reference Match', value: ReferenceDelivery.describeScore(
+                throwData.referenceSimilarity, throwData.referenceWorstPhase, throwData.referenceWorstSimilarity) || 'Not scored' },
+            { label: 'Sensors Worn', value: (throwData.sensorLocations || ['torso'])
+                .map(location => location === 'torso' ? 'Torso' : SensorRig.labelFor(location)).join(', ') },
+            { label: 'Foot-to-Torso Lag', value: throwData.footTorsoLag !== undefined && throwData.footTorsoLag !== null ?
+                CrossSensorMetrics.describeLag(throwData.footTorsoLag) : 'Not recorded' },
+            { label: 'Broom Weight-bearing', value: throwData.broomSupport !== undefined && throwData.broomSupport !== null ?
+                `${throwData.broomSupport.toFixed(0)}% of the slide` : 'Not recorded' },
+            { label: 'Drift Correction', value: throwData.driftCorrection !== undefined ?
+                `${throwData.driftCorrection.toFixed(2)} m/s (${this.escapeHtml(throwData.dataQuality)})` : 'Not recorded' },
             { label: 'Recorded At', value: new Date(throwData.timestamp).toLocaleString() }
         ];
 
@@ -480,12 +1535,42 @@ class TrainingSessionAnalyzer {
         });
     }
 
-    deleteThrow(index) {
+    // Throws imported from the throws CSV carry the weight but not its band or the ice speed
+    describePrediction(throwData) {
+        if (!throwData.predictedWeight) return 'Not recorded';
+        const details = [];
+        if (Array.isArray(throwData.predictedSplitBand)) {
+            details.push(`${IceSpeedModel.formatBand(throwData.predictedSplitBand)} hog-to-hog`);
+        }
+        if (Number.isFinite(throwData.iceDrawTime)) details.push(`ice ${throwData.iceDrawTime.toFixed(1)} s`);
+        const weight = this.escapeHtml(throwData.predictedWeight);
+        return details.length > 0 ? `${weight} (${details.join(', ')})` : weight;
+    }
+
+    // Prediction from the athlete's current split fit, which improves as splits are added
+    describeCalibratedSplit(throwData) {
+        const calibration = this.splitCalibrations[this.athleteOf(throwData)];
+        if (!calibration) {
+            return `Needs ${SplitCalibration.minimumThrows()} timed throws`;
+        }
+        if (!(throwData.releaseVelocity > 0)) return 'No release velocity';
+
+        const split = calibration.predictSplit(throwData.releaseVelocity);
+        if (split === null) return 'Outside the fitted range';
+        return `${split.toFixed(2)} s (${calibration.describe()})`;
+    }
+
+    async deleteThrow(index) {
         const confirmed = confirm(`Delete throw #${index + 1}?`);
         if (!confirmed) return;
 
-        this.throws.splice(index, 1);
-        this.saveSessionData();
+        const [removed] = this.throws.splice(index, 1);
+        try {
+            await window.throwStore.deleteThrow(removed.id);
+            await this.loadSessionData();
+        } catch (error) {
+            console.error('Error deleting throw:', error);
+        }
         this.updateUI();
 
         if (window.analytics) {
@@ -505,8 +1590,10 @@ class TrainingSessionAnalyzer {
         
         document.getElementById('noDataSection').style.display = hasData ? 'none' : 'block';
         document.getElementById('quickStats').style.display = hasData ? 'block' : 'none';
-        document.getElementById('trendSection').style.display = hasData ? 'block' : 'none';
+        document.getElementById('typeBaselines').style.display = hasData ? 'block' : 'none';
+        document.getElementById('trendSection').style.display = this.trendThrows.length > 0 ? 'block' : 'none';
         document.getElementById('comparisonSection').style.display = hasData ? 'block' : 'none';
+        document.getElementById('overlaySection').style.display = hasData ? 'block' : 'none';
     }
 }
 
@@ -518,7 +1605,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // Handle page visibility to update data when returning from main page
 document.addEventListener('visibilitychange', () => {
     if (!document.hidden && window.sessionAnalyzer) {
-        window.sessionAnalyzer.loadSessionData();
-        window.sessionAnalyzer.updateUI();
+        window.sessionAnalyzer.loadSessionData().then(() => {
+            window.sessionAnalyzer.updateUI();
+        });
     }
 });
\ No newline at end of file
@@ -0,0 +1,107 @@
+// CSV files for spreadsheets: a per-throw metrics table and long-format raw samples.
+// Headers carry units; files start with a BOM so Excel reads m/s² and °/s correctly.
+class SessionCsv {
+    // Same columns as the comparison table, plus ids to join against the raw file
+    static throwColumns() {
+        return [
+            { header: 'Throw ID', field: 'id' },
+            { header: 'Throw #', field: null, value: (t, i) => i + 1 },
+            { header: 'Timestamp', field: 'timestamp' },
+            { header: 'Athlete', field: 'athleteId', value: (t, i, athletes) => AthleteRoster.nameFor(t.athleteId, athletes) },
+            { header: 'Weight', field: 'category' },
+            { header: 'Turn', field: 'turn' },
+            { header: 'Push-off (m/s²)', field: 'pushoffStrength', digits: 3 },
+            { header: 'Peak Velocity (m/s)', field: 'peakVelocity', digits: 3 },
+            { header: 'Duration (s)', field: 'slideDuration', digits: 3 },
+            { header: 'Decel Rate (m/s²)', field: 'decelRate', digits: 4 },
+            { header: 'Stability (%)', field: 'stabilityScore', digits: 1 },
+            { header: 'Efficiency', field: 'glideEfficiency' },
+            { header: 'Est. Weight', field: 'predictedWeight' },
+            { header: 'Split (s)', field: 'measuredSplit', digits: 2 },
+            { header: 'Reference Match (%)', field: 'referenceSimilarity', digits: 1 },
+            { header: 'Foot-Torso Lag (s)', field: 'footTorsoLag', digits: 3 },
+            { header: 'Broom Weight-bearing (%)', field: 'broomSupport', digits: 1 }
+        ];
+    }
+
+    static rawColumns() {
+        return ['throw_id', 't (s)', 'ax (m/s²)', 'ay (m/s²)', 'az (m/s²)', 'pitch (°/s)', 'roll (°/s)', 'yaw (°/s)'];
+    }
+
+    static throwsToCsv(throws, athletes) {
+        const columns = SessionCsv.throwColumns();
+        const rows = throws.map((throwData, i) => columns.map(column => {
+            const value = column.value ? column.value(throwData, i, athletes) : throwData[column.field];
+            return SessionCsv.formatNumber(value, column.digits);
+        }));
+        return SessionCsv.build(columns.map(c => c.header), rows);
+    }
+
+    // One row per sample: [{ throwId, rawData }] in, long-format CSV out
+    static samplesToCsv(traces) {
+        const rows = [];
+        traces.forEach(({ throwId, rawData }) => {
+            if (!rawData || !rawData.acceleration) return;
+
+            const accel = rawData.acceleration;
+            const gyro = rawData.gyroscope || { x: [], y: [], z: [], timestamps: [] };
+            let j = 0;
+            accel.timestamps.forEach((t, i) => {
+                // Older traces may sample the gyroscope on its own clock
+                while (j < gyro.timestamps.length - 1 && gyro.timestamps[j + 1] <= t) j++;
+                const hasGyro = gyro.timestamps.length > 0;
+                rows.push([
+                    throwId,
+                    SessionCsv.formatNumber(t, 3),
+                    SessionCsv.formatNumber(accel.x[i], 3),
+                    SessionCsv.formatNumber(accel.y[i], 3),
+                    SessionCsv.formatNumber(accel.z[i], 3),
+                    hasGyro ? SessionCsv.formatNumber(gyro.x[j], 2) : '',
+                    hasGyro ? SessionCsv.formatNumber(gyro.y[j], 2) : '',
+                    hasGyro ? SessionCsv.formatNumber(gyro.z[j], 2) : ''
+                ]);
+            });
+        });
+        return SessionCsv.build(SessionCsv.rawColumns(), rows);
+    }
+
+    static formatNumber(value, digits) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number' && digits !== undefined) {
+            return Number.isFinite(value) ? String(Number(value.toFixed(digits))) : '';
+        }
+        return value;
+    }
+
+    // Text starting with = + - @ would run as a formula in a spreadsheet, so it gets a
+    // leading ' (numbers like -0.25 are left alone)
+    static escape(value) {
+        let text = String(value);
+        if (SessionCsv.isFormula(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static isFormula(text) {
+        return /^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text));
+    }
+
+    // Reverses the ' added by escape when a file is read back in
+    static unescapeText(text) {
+        return text.startsWith("'") && SessionCsv.isFormula(text.slice(1)) ? text.slice(1) : text;
+    }
+
+    static build(headers, rows) {
+        const lines = [headers].concat(rows).map(row => row.map(SessionCsv.escape).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    static download(filename, text) {
+        const blob = new Blob([text], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,368 @@
+// Reads the app's own export files back in: the JSON session export, the throws CSV
+// and the raw samples CSV. Returns throws ready for the store plus what was rejected.
+class SessionImporter {
+    constructor() {
+        this.numericFields = [
+            'pushoffStrength', 'peakVelocity', 'slideDuration', 'decelRate', 'stabilityScore',
+            'releaseVelocity', 'measuredSplit', 'legDriveDuration', 'glideDuration', 'driftCorrection',
+            'referenceSimilarity', 'footTorsoLag', 'broomSupport', 'predictedSplit', 'iceDrawTime',
+            'referenceWorstSimilarity'
+        ];
+    }
+
+    // Text the pages show may only be one of the app's own values
+    static enumFields() {
+        return {
+            category: ThrowTypes.categories().map(c => c.value),
+            turn: ThrowTypes.turns().map(t => t.value),
+            glideEfficiency: ['Excellent', 'Very Good', 'Good', 'Poor (High Drag)'],
+            predictedWeight: IceSpeedModel.zones().map(z => z.label),
+            dataQuality: ['Good', 'Fair', 'Poor', 'Unchecked', 'Unchecked (no rest at end)'],
+            referenceWorstPhase: DeliverySegmenter.phaseDefinitions().map(d => d.name)
+        };
+    }
+
+    // Everything else in a file or from a peer is dropped
+    static throwFields() {
+        return [
+            'id', 'timestamp', 'sessionId', 'athleteId', 'athleteName', 'splitCalibrated',
+            'predictedSplitBand', 'sensorLocations', 'phases', 'events', 'rawData'
+        ];
+    }
+
+    // Ids end up in attributes and inline handlers, so only plain ones are accepted
+    static isSafeId(id) {
+        return (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && /^[\w-]+$/.test(id));
+    }
+
+    // Traces in a throw's rawData and the axes each one carries
+    static rawTraces() {
+        return {
+            acceleration: ['x', 'y', 'z', 'timestamps'],
+            gyroscope: ['x', 'y', 'z', 'timestamps'],
+            velocity: ['x', 'timestamps']
+        };
+    }
+
+    static isNumberList(values) {
+        return Array.isArray(values) && values.every(v => v === null || Number.isFinite(v));
+    }
+
+    // A validated throw with only the fields the app knows
+    cleanThrow(throwData) {
+        const fields = SessionImporter.throwFields()
+            .concat(this.numericFields, Object.keys(SessionImporter.enumFields()));
+        const clean = {};
+        fields.forEach(field => {
+            if (throwData[field] !== undefined) clean[field] = throwData[field];
+        });
+        if (throwData.rawData) clean.rawData = SessionImporter.cleanRawData(throwData.rawData);
+        return clean;
+    }
+
+    // Rebuilt from the known traces and axes; the extra sensors only carry acceleration and gyroscope
+    static cleanRawData(raw) {
+        const traces = SessionImporter.rawTraces();
+        const cleanTrace = (trace, axes) => {
+            const clean = {};
+            axes.forEach(axis => {
+                if (SessionImporter.isNumberList(trace[axis])) clean[axis] = trace[axis].slice();
+            });
+            return clean;
+        };
+
+        const clean = {};
+        Object.entries(traces).forEach(([name, axes]) => {
+            if (raw[name]) clean[name] = cleanTrace(raw[name], axes);
+        });
+        if (raw.sensors) {
+            clean.sensors = {};
+            Object.keys(SensorRig.locations()).forEach(location => {
+                const stream = raw.sensors[location];
+                if (!stream) return;
+                clean.sensors[location] = {};
+                ['acceleration', 'gyroscope'].forEach(name => {
+                    if (stream[name]) clean.sensors[location][name] = cleanTrace(stream[name], traces[name]);
+                });
+            });
+        }
+        return clean;
+    }
+
+    // Roster entries from a file or a peer, with unknown hands and aids dropped
+    static cleanAthlete(athlete) {
+        if (!athlete || !SessionImporter.isSafeId(athlete.id) || typeof athlete.name !== 'string' || athlete.name.trim() === '') {
+            return null;
+        }
+        const hand = AthleteRoster.hands().some(h => h.value === athlete.hand) ? athlete.hand : undefined;
+        const aid = AthleteRoster.aids().some(a => a.value === athlete.aid) ? athlete.aid : undefined;
+        return { id: athlete.id, name: athlete.name.trim().slice(0, 100), hand, aid };
+    }
+
+    // Files may be picked together, e.g. a throws CSV with its raw samples CSV
+    async readFiles(files) {
+        const result = { throws: [], athletes: [], sessionName: null, samples: {}, errors: [] };
+
+        for (const file of files) {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            try {
+                if (file.name.toLowerCase().endsWith('.json')) {
+                    this.parseJson(text, result);
+                } else {
+                    this.parseCsv(text, result);
+                }
+            } catch (error) {
+                result.errors.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        // Raw samples only attach to throws that came with this import
+        result.throws.forEach(throwData => {
+            if (!throwData.rawData && result.samples[throwData.id]) {
+                throwData.rawData = result.samples[throwData.id];
+            }
+        });
+        const known = new Set(result.throws.map(t => String(t.id)));
+        const orphans = Object.keys(result.samples).filter(id => !known.has(id));
+        if (orphans.length > 0) {
+            result.errors.push(`Raw samples for ${orphans.length} throw${orphans.length === 1 ? '' : 's'} had no matching throw and were skipped`);
+        }
+        return result;
+    }
+
+    parseJson(text, result) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('not valid JSON');
+        }
+        if (!data || !Array.isArray(data.throws)) {
+            throw new Error('not a session export (no "throws" list)');
+        }
+
+        if (data.session && typeof data.session.name === 'string') {
+            result.sessionName = result.sessionName || data.session.name;
+        }
+        if (Array.isArray(data.athletes)) {
+            data.athletes
+                .map(a => SessionImporter.cleanAthlete(a))
+                .filter(a => a)
+                .forEach(a => result.athletes.push(a));
+        }
+
+        data.throws.forEach((raw, i) => {
+            const problem = this.validateThrow(raw);
+            if (problem) {
+                result.errors.push(`Throw ${i + 1}: ${problem}`);
+                return;
+            }
+            result.throws.push(this.cleanThrow(raw));
+        });
+    }
+
+    validateThrow(throwData) {
+        if (!throwData || typeof throwData !== 'object') return 'not an object';
+        if (throwData.id === undefined || throwData.id === null || throwData.id === '') return 'missing id';
+        if (!SessionImporter.isSafeId(throwData.id)) return 'id may only hold letters, digits, - and _';
+        if (typeof throwData.timestamp !== 'string' || isNaN(Date.parse(throwData.timestamp))) return 'missing or invalid timestamp';
+
+        for (const field of ['athleteId', 'sessionId']) {
+            const value = throwData[field];
+            if (value !== undefined && value !== null && !SessionImporter.isSafeId(value)) {
+                return `${field} may only hold letters, digits, - and _`;
+            }
+        }
+        if (throwData.athleteName !== undefined && typeof throwData.athleteName !== 'string') {
+            return 'athlete name is not text';
+        }
+
+        const enums = SessionImporter.enumFields();
+        for (const [field, allowed] of Object.entries(enums)) {
+            const value = throwData[field];
+            if (value !== undefined && value !== null && value !== '' && !allowed.includes(value)) {
+                return `${field} "${String(value).slice(0, 30)}" is not one of the app's values`;
+            }
+        }
+
+        for (const field of this.numericFields) {
+            const value = throwData[field];
+            if (value !== undefined && value !== null && !Number.isFinite(value)) {
+                return `${field} is not a number`;
+            }
+        }
+
+        if (throwData.splitCalibrated !== undefined && typeof throwData.splitCalibrated !== 'boolean') {
+            return 'splitCalibrated is not true or false';
+        }
+        const band = throwData.predictedSplitBand;
+        if (band !== undefined && band !== null && !(SessionImporter.isNumberList(band) && band.length === 2)) {
+            return 'predictedSplitBand is malformed';
+        }
+        const locations = throwData.sensorLocations;
+        if (locations !== undefined && !(Array.isArray(locations) &&
+            locations.every(l => l === 'torso' || Object.keys(SensorRig.locations()).includes(l)))) {
+            return 'sensorLocations is malformed';
+        }
+        const phaseNames = enums.referenceWorstPhase;
+        if (throwData.phases !== undefined && !(Array.isArray(throwData.phases) && throwData.phases.every(p =>
+            p && phaseNames.includes(p.name) && Number.isFinite(p.startTime) && Number.isFinite(p.endTime)))) {
+            return 'phases are malformed';
+        }
+        if (throwData.events !== undefined && !(throwData.events && typeof throwData.events === 'object' &&
+            Object.values(throwData.events).every(v => v === null || Number.isFinite(v)))) {
+            return 'events are malformed';
+        }
+
+        const raw = throwData.rawData;
+        if (raw) {
+            const accel = raw.acceleration;
+            if (!accel || !Array.isArray(accel.x) || !Array.isArray(accel.timestamps) || accel.x.length !== accel.timestamps.length) {
+                return 'raw trace is malformed';
+            }
+            const sensors = raw.sensors || {};
+            if (typeof sensors !== 'object' || Object.keys(sensors).some(l => !Object.keys(SensorRig.locations()).includes(l))) {
+                return 'raw trace has an unknown sensor';
+            }
+            const traces = [raw.acceleration, raw.gyroscope, raw.velocity]
+                .concat(Object.values(sensors).flatMap(s => [s && s.acceleration, s && s.gyroscope]));
+            const numeric = traces.every(trace => !trace || (typeof trace === 'object' &&
+                Object.values(trace).every(v => SessionImporter.isNumberList(v))));
+            if (!numeric) return 'raw trace holds values that are not numbers';
+        }
+        return null;
+    }
+
+    parseCsv(text, result) {
+        const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell !== ''));
+        if (rows.length === 0) throw new Error('file is empty');
+
+        const headers = rows[0].map(h => h.trim());
+        if (headers[0] === SessionCsv.rawColumns()[0]) {
+            this.parseSamplesRows(headers, rows.slice(1), result);
+        } else if (headers.includes('Throw ID')) {
+            this.parseThrowRows(headers, rows.slice(1), result);
+        } else {
+            throw new Error('not a throws or raw samples CSV from this app');
+        }
+    }
+
+    parseThrowRows(headers, rows, result) {
+        const columns = SessionCsv.throwColumns().filter(c => c.field && headers.includes(c.header));
+        if (!headers.includes('Timestamp')) throw new Error('throws CSV needs a Timestamp column');
+
+        rows.forEach((row, i) => {
+            const throwData = {};
+            columns.forEach(column => {
+                const cell = (row[headers.indexOf(column.header)] || '').trim();
+                if (cell === '') return;
+                throwData[column.field] = column.digits !== undefined ? Number(cell) : SessionCsv.unescapeText(cell);
+            });
+
+            // The CSV carries athlete names; they are matched to the roster on import
+            if (throwData.athleteId !== undefined) {
+                throwData.athleteName = throwData.athleteId;
+                delete throwData.athleteId;
+            }
+            throwData.id = this.parseId(throwData.id);
+
+            const problem = this.validateThrow(throwData);
+            if (problem) {
+                result.errors.push(`CSV row ${i + 2}: ${problem}`);
+                return;
+            }
+            result.throws.push(throwData);
+        });
+    }
+
+    parseSamplesRows(headers, rows, result) {
+        const expected = SessionCsv.rawColumns();
+        if (expected.some((name, i) => headers[i] !== name)) {
+            throw new Error(`raw samples CSV needs the columns ${expected.join(', ')}`);
+        }
+
+        rows.forEach((row, i) => {
+            const id = this.parseId(row[0]);
+            const values = row.slice(1, 8).map(cell => cell === '' ? null : Number(cell));
+            if (id === '' || values.slice(0, 4).some(v => v === null || !Number.isFinite(v))) {
+                result.errors.push(`Raw CSV row ${i + 2}: bad sample`);
+                return;
+            }
+
+            const trace = result.samples[id] = result.samples[id] || {
+                acceleration: { x: [], y: [], z: [], timestamps: [] },
+                gyroscope: { x: [], y: [], z: [], timestamps: [] }
+            };
+            const [t, ax, ay, az, pitch, roll, yaw] = values;
+            trace.acceleration.x.push(ax);
+            trace.acceleration.y.push(ay);
+            trace.acceleration.z.push(az);
+            trace.acceleration.timestamps.push(t);
+            if (pitch !== null) {
+                trace.gyroscope.x.push(pitch);
+                trace.gyroscope.y.push(roll || 0);
+                trace.gyroscope.z.push(yaw || 0);
+                trace.gyroscope.timestamps.push(t);
+            }
+        });
+
+        // The raw CSV has no velocity column, so rebuild it from forward acceleration
+        Object.values(result.samples).forEach(trace => {
+            if (trace.velocity) return;
+            const accel = trace.acceleration;
+            const velocity = { x: [0], timestamps: [accel.timestamps[0] || 0] };
+            for (let i = 1; i < accel.x.length; i++) {
+                const dt = accel.timestamps[i] - accel.timestamps[i - 1];
+                velocity.x.push(velocity.x[i - 1] + (accel.x[i] + accel.x[i - 1]) / 2 * dt);
+                velocity.timestamps.push(accel.timestamps[i]);
+            }
+            trace.velocity = velocity;
+        });
+    }
+
+    // Throw ids are numeric timestamps; keep anything else as text
+    parseId(value) {
+        const text = String(value === undefined ? '' : value).trim();
+        return /^\d+$/.test(text) ? Number(text) : text;
+    }
+
+    // RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+}
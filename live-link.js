@@ -0,0 +1,363 @@
+// Link between an athlete's recording phone and a coach's device, paired by a random token.
+// Both ends join the WebSocket relay; the relay carries the WebRTC handshake and then the
+// messages go over a direct data channel where the network allows it (no internet needed
+// on the rink wifi), falling back to the relay otherwise. The relay is shared and doesn't
+// authenticate anyone, so the token itself never goes over it: both ends derive a room id
+// and an AES-GCM key from it, and every relay message is encrypted and authenticated with
+// that key. The athlete still approves each coach device before it sees or controls anything.
+class LiveLink {
+    constructor(role, pairCode, handlers = {}) {
+        this.role = role; // 'athlete' or 'coach'
+        this.pairCode = pairCode;
+        this.onMessage = handlers.onMessage || (() => {});
+        this.onState = handlers.onState || (() => {});
+        this.onPeer = handlers.onPeer || (() => {});
+        // Asked once per new device; by default the first device to answer is kept
+        this.confirmPeer = handlers.confirmPeer || (() => this.peerDevice === null);
+        this.declined = new Set();
+        this.deviceId = LiveLink.generateCode(); // this page's identity on the relay
+        this.peerDevice = null; // the one device this end talks to
+        this.keys = LiveLink.deriveKeys(pairCode); // { room, key }, resolved once WebCrypto is done
+        this.keys.catch(error => console.error('Live link keys could not be derived:', error));
+        this.seq = 0; // ms clock, strictly increasing, so old messages can't be replayed
+        this.lastSeq = {}; // device -> last seq accepted from it
+        this.outgoing = Promise.resolve(); // encryption is async; these keep messages in order
+        this.incoming = Promise.resolve();
+        this.socket = null;
+        this.url = null;
+        this.peer = null;
+        this.dataChannel = null;
+        this.parts = {}; // chunked messages still arriving over the data channel
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.closed = false;
+        this.state = 'closed'; // 'connecting', 'waiting', 'relay', 'direct' or 'closed'
+    }
+
+    // 128 random bits, URL-safe base64
+    static generateCode() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return LiveLink.toBase64(bytes);
+    }
+
+    static maxMessageAge() {
+        return 10 * 60 * 1000; // ms - allows for clocks that differ between the two devices
+    }
+
+    // The room id tells the relay messages apart without revealing the token; the key seals them
+    static async deriveKeys(pairCode) {
+        const encoder = new TextEncoder();
+        const base = await crypto.subtle.importKey('raw', encoder.encode(pairCode), 'HKDF', false, ['deriveBits', 'deriveKey']);
+        const params = (info) => ({ name: 'HKDF', hash: 'SHA-256', salt: encoder.encode('peel-weight live link'), info: encoder.encode(info) });
+        const roomBits = await crypto.subtle.deriveBits(params('room'), base, 128);
+        const key = await crypto.subtle.deriveKey(params('message'), base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        return { room: LiveLink.toBase64(new Uint8Array(roomBits)), key };
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    static isValidCode(code) {
+        return /^[A-Za-z0-9_-]{22}$/.test(code);
+    }
+
+    // The coach opens this to join with the relay and token filled in
+    static pairLink(relayUrl, pairCode) {
+        const link = new URL('coach.html', window.location.href);
+        link.hash = new URLSearchParams({ relay: relayUrl, pair: pairCode }).toString();
+        return link.toString();
+    }
+
+    static parsePairLink(text) {
+        const hash = text.includes('#') ? text.slice(text.indexOf('#') + 1) : '';
+        const params = new URLSearchParams(hash);
+        return { relay: params.get('relay'), pair: params.get('pair') };
+    }
+
+    static chunkSize() {
+        return 16000; // characters - safely under every browser's data channel message limit
+    }
+
+    static stateLabel(state) {
+        const labels = {
+            connecting: 'Connecting to the relay...',
+            waiting: 'Waiting for the other device (the athlete approves new coaches)',
+            relay: 'Connected through the relay',
+            direct: 'Connected directly',
+            closed: 'Not connected'
+        };
+        return labels[state];
+    }
+
+    otherRole() {
+        return this.role === 'athlete' ? 'coach' : 'athlete';
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.onState(state);
+    }
+
+    connect(url) {
+        this.url = url;
+        this.closed = false;
+        clearTimeout(this.reconnectTimer);
+        this.setState('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            console.error('Error opening live link:', error);
+            this.setState('closed');
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            if (this.state !== 'direct') this.setState('waiting');
+            this.signal('hello');
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            if (!message || message.type !== 'live') return;
+            this.incoming = this.incoming
+                .then(() => this.open(message))
+                .then(signal => signal && this.handleSignal(signal))
+                .catch(error => console.error('Live link message failed:', error));
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket || this.closed) return;
+            if (this.state !== 'direct') this.setState('connecting');
+            this.reconnectTimer = setTimeout(() => {
+                if (this.socket === socket && !this.closed) this.connect(this.url);
+            }, this.reconnectDelay);
+            this.reconnectDelay = Math.min(30000, this.reconnectDelay * 2);
+        };
+        socket.onerror = (error) => console.error('Live link relay error:', error);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.closePeer();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setState('closed');
+    }
+
+    signal(kind, body) {
+        const socket = this.socket;
+        if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+
+        this.seq = Math.max(this.seq + 1, Date.now());
+        const plain = JSON.stringify({ from: this.role, device: this.deviceId, seq: this.seq, kind, body });
+        this.outgoing = this.outgoing
+            .then(() => this.seal(plain))
+            .then(sealed => {
+                if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(sealed));
+            })
+            .catch(error => console.error('Live link message could not be sent:', error));
+        return true;
+    }
+
+    async seal(plain) {
+        const { room, key } = await this.keys;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(room) }, key, new TextEncoder().encode(plain));
+        return { type: 'live', room, iv: LiveLink.toBase64(iv), data: LiveLink.toBase64(new Uint8Array(data)) };
+    }
+
+    // Null for anything not sealed with this pairing's key, or replayed, or from this side
+    async open(message) {
+        const { room, key } = await this.keys;
+        // The relay is shared, so anything not for this pairing is ignored
+        if (message.room !== room || typeof message.iv !== 'string' || typeof message.data !== 'string') return null;
+
+        let signal;
+        try {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: LiveLink.fromBase64(message.iv), additionalData: new TextEncoder().encode(room) },
+                key, LiveLink.fromBase64(message.data));
+            signal = JSON.parse(new TextDecoder().decode(plain));
+        } catch (error) {
+            console.log('Live link dropped a message that failed authentication');
+            return null;
+        }
+
+        if (!signal || signal.from !== this.otherRole() || typeof signal.device !== 'string' || signal.device === '') return null;
+        if (!Number.isFinite(signal.seq) || Math.abs(Date.now() - signal.seq) > LiveLink.maxMessageAge()) return null;
+        if (signal.seq <= (this.lastSeq[signal.device] || 0)) return null;
+        this.lastSeq[signal.device] = signal.seq;
+        return signal;
+    }
+
+    async handleSignal(message) {
+        const { kind, body, device } = message;
+
+        if ((kind === 'hello' || kind === 'welcome') && device !== this.peerDevice) {
+            if (this.declined.has(device)) return;
+            if (!this.confirmPeer(device)) {
+                this.declined.add(device);
+                return;
+            }
+            // A different device took over the pairing: start the direct channel afresh
+            this.closePeer();
+            this.peerDevice = device;
+            if (this.state === 'direct') this.setState('relay');
+        }
+        // Any other device holding the link is ignored once one is approved
+        if (device !== this.peerDevice) return;
+
+        if (kind === 'hello' || kind === 'welcome') {
+            if (kind === 'hello') this.signal('welcome');
+            if (this.state !== 'direct') this.setState('relay');
+            this.onPeer();
+            // The athlete's phone makes the offer; the coach answers
+            if (this.role === 'athlete' && this.state !== 'direct') this.startPeer();
+        } else if (kind === 'data') {
+            this.onMessage(body);
+        } else if (kind === 'offer' && this.role === 'coach') {
+            await this.answerPeer(body);
+        } else if (kind === 'answer' && this.peer) {
+            await this.peer.setRemoteDescription(body).catch(error => console.error('Live link answer failed:', error));
+        } else if (kind === 'candidate' && this.peer) {
+            await this.peer.addIceCandidate(body).catch(error => console.log('Live link candidate rejected:', error));
+        }
+    }
+
+    createPeer() {
+        this.closePeer();
+        // No STUN/TURN servers: the direct path is for devices on the same network
+        const peer = new RTCPeerConnection({ iceServers: [] });
+        peer.onicecandidate = (event) => {
+            if (event.candidate) this.signal('candidate', event.candidate.toJSON());
+        };
+        peer.onconnectionstatechange = () => {
+            if (['failed', 'closed'].includes(peer.connectionState) && this.peer === peer) {
+                this.closePeer();
+                this.setState(this.socket && this.socket.readyState === WebSocket.OPEN ? 'relay' : 'connecting');
+            }
+        };
+        this.peer = peer;
+        return peer;
+    }
+
+    async startPeer() {
+        if (!('RTCPeerConnection' in window)) return;
+
+        const peer = this.createPeer();
+        this.attachChannel(peer.createDataChannel('live'));
+        try {
+            await peer.setLocalDescription(await peer.createOffer());
+            this.signal('offer', peer.localDescription.toJSON());
+        } catch (error) {
+            console.error('Live link offer failed:', error);
+            this.closePeer();
+        }
+    }
+
+    async answerPeer(offer) {
+        if (!('RTCPeerConnection' in window)) return;
+
+        const peer = this.createPeer();
+        peer.ondatachannel = (event) => this.attachChannel(event.channel);
+        try {
+            await peer.setRemoteDescription(offer);
+            await peer.setLocalDescription(await peer.createAnswer());
+            this.signal('answer', peer.localDescription.toJSON());
+        } catch (error) {
+            console.error('Live link answer failed:', error);
+            this.closePeer();
+        }
+    }
+
+    attachChannel(channel) {
+        this.dataChannel = channel;
+        channel.onopen = () => this.setState('direct');
+        channel.onclose = () => {
+            if (this.dataChannel !== channel) return;
+            this.dataChannel = null;
+            if (!this.closed) this.setState(this.socket && this.socket.readyState === WebSocket.OPEN ? 'relay' : 'connecting');
+        };
+        channel.onmessage = (event) => this.receiveChannel(event.data);
+    }
+
+    closePeer() {
+        if (this.dataChannel) {
+            const channel = this.dataChannel;
+            this.dataChannel = null;
+            channel.close();
+        }
+        if (this.peer) {
+            const peer = this.peer;
+            this.peer = null;
+            peer.close();
+        }
+        this.parts = {};
+    }
+
+    // Finished throws carry their whole trace, so long messages are split into parts
+    send(payload) {
+        const channel = this.dataChannel;
+        if (channel && channel.readyState === 'open') {
+            const text = JSON.stringify(payload);
+            const size = LiveLink.chunkSize();
+            if (text.length <= size) {
+                channel.send(text);
+            } else {
+                const id = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+                const total = Math.ceil(text.length / size);
+                for (let i = 0; i < total; i++) {
+                    channel.send(JSON.stringify({ part: { id, index: i, total, text: text.slice(i * size, (i + 1) * size) } }));
+                }
+            }
+            return true;
+        }
+        return this.signal('data', payload);
+    }
+
+    receiveChannel(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+
+        if (!message.part) {
+            this.onMessage(message);
+            return;
+        }
+
+        const { id, index, total, text } = message.part;
+        const parts = this.parts[id] || (this.parts[id] = []);
+        parts[index] = text;
+        if (parts.filter(p => p !== undefined).length < total) return;
+
+        delete this.parts[id];
+        try {
+            this.onMessage(JSON.parse(parts.join('')));
+        } catch (error) {
+            console.error('Live link message could not be rebuilt:', error);
+        }
+    }
+}
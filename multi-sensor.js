@@ -0,0 +1,281 @@
+// Extra Bluetooth sensors worn alongside the torso sensor, each tagged with where it's worn.
+// They are timed on the same clock as the torso source, so after recording every stream
+// sits on the torso's timeline and goes through the same trim.
+class SensorRig {
+    constructor() {
+        this.sensors = {}; // location -> { source, calibration, samples }
+        this.listening = false;
+        this.startTime = null; // ms; null while only buffering for an armed trigger
+        this.bufferMs = 2000; // kept while armed, covering the torso's pre-trigger second
+        this.onChange = null;
+    }
+
+    static locations() {
+        return {
+            foot: { label: 'Slider foot', icon: '🦶' },
+            broom: { label: 'Broom', icon: '🧹' }
+        };
+    }
+
+    static labelFor(location) {
+        const info = SensorRig.locations()[location];
+        return info ? info.label : location;
+    }
+
+    isConnected(location) {
+        const sensor = this.sensors[location];
+        return !!sensor && sensor.source.isReady();
+    }
+
+    connectedLocations() {
+        return Object.keys(this.sensors).filter(location => this.isConnected(location));
+    }
+
+    // Picking a device has to come from a tap
+    async connect(location, profileId) {
+        const profile = BluetoothImuSource.profiles()[profileId];
+        if (!profile) return false;
+
+        this.disconnect(location);
+        const source = new BluetoothImuSource(profile);
+        const connected = await source.requestAccess();
+        if (!connected) return false;
+
+        const sensor = {
+            source,
+            // Used if this sensor was ever calibrated as the main source; fusion copes without
+            calibration: DeviceCalibration.load(source.key),
+            samples: [],
+            handler: (raw, time) => this.receive(sensor, raw, time)
+        };
+        source.onDisconnect = () => {
+            console.log(`${SensorRig.labelFor(location)} sensor disconnected`);
+            if (this.onChange) this.onChange(location);
+        };
+        this.sensors[location] = sensor;
+        if (this.listening) source.addListener(sensor.handler);
+
+        if (window.analytics) {
+            window.analytics.trackEvent('extra_sensor_connected', {
+                location,
+                profile: profileId,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return true;
+    }
+
+    disconnect(location) {
+        const sensor = this.sensors[location];
+        if (!sensor) return;
+        sensor.source.removeListener(sensor.handler);
+        sensor.source.onDisconnect = null;
+        sensor.source.disconnect();
+        delete this.sensors[location];
+    }
+
+    // Armed: keep a short rolling buffer until the push-off fixes the start time
+    listen() {
+        this.startTime = null;
+        Object.values(this.sensors).forEach(sensor => {
+            sensor.samples = [];
+            if (!this.listening) sensor.source.addListener(sensor.handler);
+        });
+        this.listening = true;
+    }
+
+    // The torso recording started at startTime (possibly in the past, for a triggered start)
+    start(startTime) {
+        if (!this.listening) this.listen();
+        this.startTime = startTime;
+        Object.values(this.sensors).forEach(sensor => {
+            sensor.samples = sensor.samples.filter(entry => entry.time >= startTime);
+        });
+    }
+
+    stop() {
+        Object.values(this.sensors).forEach(sensor => sensor.source.removeListener(sensor.handler));
+        this.listening = false;
+    }
+
+    receive(sensor, raw, time) {
+        const calibrated = sensor.calibration.apply({
+            acceleration: raw.acceleration || [0, 0, 0],
+            linear: raw.linear,
+            rotationRate: raw.rotationRate || [0, 0, 0]
+        });
+        sensor.samples.push({
+            time,
+            acceleration: raw.acceleration ? calibrated.acceleration : null,
+            linear: calibrated.linear,
+            rotationRate: raw.rotationRate ? calibrated.rotationRate.map(r => r * sensor.source.rateScale) : null
+        });
+
+        if (this.startTime === null) {
+            while (sensor.samples.length > 0 && sensor.samples[0].time < time - this.bufferMs) sensor.samples.shift();
+        }
+    }
+
+    // Recorded streams in the same layout as the torso's sensorData, timed in seconds from
+    // the torso recording's start
+    collect() {
+        const streams = {};
+        Object.entries(this.sensors).forEach(([location, sensor]) => {
+            const samples = sensor.samples.filter(entry => entry.acceleration);
+            if (samples.length === 0 || this.startTime === null) return;
+
+            const stream = {
+                label: sensor.source.label,
+                acceleration: { x: [], y: [], z: [], timestamps: [] },
+                linearAcceleration: { x: [], y: [], z: [] },
+                gyroscope: { x: [], y: [], z: [], timestamps: [] }
+            };
+            samples.forEach(entry => {
+                const t = (entry.time - this.startTime) / 1000;
+                stream.acceleration.x.push(entry.acceleration[0]);
+                stream.acceleration.y.push(entry.acceleration[1]);
+                stream.acceleration.z.push(entry.acceleration[2]);
+                stream.acceleration.timestamps.push(t);
+                stream.linearAcceleration.x.push(entry.linear ? entry.linear[0] : null);
+                stream.linearAcceleration.y.push(entry.linear ? entry.linear[1] : null);
+                stream.linearAcceleration.z.push(entry.linear ? entry.linear[2] : null);
+                if (entry.rotationRate) {
+                    stream.gyroscope.x.push(entry.rotationRate[0]);
+                    stream.gyroscope.y.push(entry.rotationRate[1]);
+                    stream.gyroscope.z.push(entry.rotationRate[2]);
+                    stream.gyroscope.timestamps.push(t);
+                }
+            });
+            streams[location] = stream;
+        });
+        return streams;
+    }
+}
+
+// Metrics that compare the torso with the other sensors, all on the torso's trimmed timeline
+class CrossSensorMetrics {
+    static gridStep() {
+        return 0.01; // seconds - streams are resampled onto a common 100 Hz grid
+    }
+
+    // Fused, trimmed stream: same window as the torso, rebased so both start at zero
+    static trim(stream, trimStart, duration) {
+        const keep = stream.acceleration.timestamps
+            .map((t, i) => (t >= trimStart && t <= trimStart + duration ? i : -1))
+            .filter(i => i !== -1);
+        const pick = (values) => keep.map(i => values[i]);
+        return {
+            label: stream.label,
+            acceleration: {
+                x: pick(stream.acceleration.x),
+                y: pick(stream.acceleration.y),
+                z: pick(stream.acceleration.z),
+                timestamps: pick(stream.acceleration.timestamps).map(t => t - trimStart)
+            },
+            gyroscope: {
+                x: pick(stream.gyroscope.x),
+                y: pick(stream.gyroscope.y),
+                z: pick(stream.gyroscope.z),
+                timestamps: pick(stream.gyroscope.timestamps).map(t => t - trimStart)
+            }
+        };
+    }
+
+    // Linear interpolation of values (at times) onto targetTimes; null outside the data
+    static resample(times, values, targetTimes) {
+        let j = 0;
+        return targetTimes.map(t => {
+            if (times.length === 0 || t < times[0] || t > times[times.length - 1]) return null;
+            while (j < times.length - 2 && times[j + 1] < t) j++;
+            const span = times[j + 1] - times[j];
+            if (!(span > 0)) return values[j];
+            const f = Math.min(1, Math.max(0, (t - times[j]) / span));
+            return values[j] + (values[j + 1] - values[j]) * f;
+        });
+    }
+
+    static correlation(a, b) {
+        const n = a.length;
+        if (n < 3) return 0;
+        const meanA = a.reduce((s, v) => s + v, 0) / n;
+        const meanB = b.reduce((s, v) => s + v, 0) / n;
+        let ab = 0, aa = 0, bb = 0;
+        for (let i = 0; i < n; i++) {
+            ab += (a[i] - meanA) * (b[i] - meanB);
+            aa += (a[i] - meanA) ** 2;
+            bb += (b[i] - meanB) ** 2;
+        }
+        return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+    }
+
+    // How long after the slider foot the torso gets going: the shift that best lines up the
+    // two forward accelerations through the leg drive. Positive means the foot leads.
+    static footTorsoLag(torso, foot, events, maxLag = 0.4, minCorrelation = 0.5) {
+        if (!foot || !events || events.pushoffOnset === undefined) return null;
+
+        const step = CrossSensorMetrics.gridStep();
+        const from = Math.max(0, events.pushoffOnset - 0.5);
+        const to = (events.glideStart !== undefined ? events.glideStart : events.peakPush + 0.5) + 0.3;
+        const grid = [];
+        for (let t = from; t <= to; t += step) grid.push(t);
+
+        const torsoForward = CrossSensorMetrics.resample(torso.acceleration.timestamps, torso.acceleration.x, grid);
+        let best = null;
+        for (let shift = -maxLag; shift <= maxLag + 1e-9; shift += step) {
+            // Torso at t against foot at t - shift
+            const footForward = CrossSensorMetrics.resample(
+                foot.acceleration.timestamps, foot.acceleration.x, grid.map(t => t - shift));
+            const pairs = grid.map((_, i) => [torsoForward[i], footForward[i]]).filter(([a, b]) => a !== null && b !== null);
+            if (pairs.length < grid.length * 0.8) continue;
+
+            const r = CrossSensorMetrics.correlation(pairs.map(p => p[0]), pairs.map(p => p[1]));
+            if (!best || r > best.correlation) best = { lag: shift, correlation: r };
+        }
+
+        if (!best || best.correlation < minCorrelation) return null;
+        return { lag: Number(best.lag.toFixed(3)), correlation: best.correlation };
+    }
+
+    // An IMU can't weigh the load on the broom, so this is the share of the slide the broom
+    // stays planted: shaft steady and no lifts or bounces off the ice. A broom taking weight
+    // stays put; one carried for show swings and hops.
+    static broomSupport(broom, slideStart, slideEnd, options = {}) {
+        if (!broom || slideEnd <= slideStart) return null;
+
+        const windowSize = options.window || 0.25; // seconds
+        const maxVertical = options.maxVertical || 1.5; // m/s² - vertical jitter of a planted broom
+        const maxRotation = options.maxRotation || 40; // °/s - mean shaft rotation of a planted broom
+        const accel = broom.acceleration;
+        const gyro = broom.gyroscope;
+
+        let planted = 0;
+        let total = 0;
+        for (let start = slideStart; start + windowSize <= slideEnd + 1e-9; start += windowSize) {
+            const inWindow = (times) => times
+                .map((t, i) => (t >= start && t < start + windowSize ? i : -1))
+                .filter(i => i !== -1);
+            const accelIndices = inWindow(accel.timestamps);
+            if (accelIndices.length < 3) continue;
+
+            const vertical = accelIndices.map(i => accel.z[i]);
+            const mean = vertical.reduce((s, v) => s + v, 0) / vertical.length;
+            const jitter = Math.sqrt(vertical.reduce((s, v) => s + (v - mean) ** 2, 0) / vertical.length);
+            const gyroIndices = inWindow(gyro.timestamps);
+            const rotation = gyroIndices.length > 0
+                ? gyroIndices.reduce((s, i) => s + Math.hypot(gyro.x[i], gyro.y[i], gyro.z[i]), 0) / gyroIndices.length
+                : 0;
+
+            total++;
+            if (jitter <= maxVertical && rotation <= maxRotation) planted++;
+        }
+
+        return total > 0 ? (planted / total) * 100 : null;
+    }
+
+    static describeLag(lag) {
+        if (lag === null || lag === undefined) return null;
+        const ms = Math.round(Math.abs(lag) * 1000);
+        if (ms === 0) return 'In step';
+        return `${ms} ms (${lag > 0 ? 'foot leads' : 'torso leads'})`;
+    }
+}
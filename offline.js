@@ -0,0 +1,8 @@
+// Registers the service worker that keeps the app usable without a connection
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js')
+            .then(registration => console.log('Service worker registered:', registration.scope))
+            .catch(error => console.error('Service worker registration failed:', error));
+    });
+}
@@ -0,0 +1,240 @@
+// Overlays the forward acceleration, velocity and stability traces of a few throws on
+// shared axes, lined up on a delivery event so it shows where a bad throw departs
+class ThrowOverlay {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.segmenter = new DeliverySegmenter();
+        this.minThrows = 2;
+        this.maxThrows = 5;
+        this.selectedIds = [];
+        this.alignEvent = 'pushoffOnset';
+        this.charts = {};
+        this.updateCount = 0;
+
+        this.setupEventListeners();
+    }
+
+    static alignments() {
+        return [
+            { value: 'motionOnset', label: 'Motion onset' },
+            { value: 'pushoffOnset', label: 'Push-off onset' },
+            { value: 'release', label: 'Release' }
+        ];
+    }
+
+    static colors() {
+        return ['#667eea', '#f56565', '#48bb78', '#ed8936', '#38b2ac'];
+    }
+
+    // Dashed line at t = 0, where every trace's alignment event sits
+    static alignmentPlugin() {
+        return {
+            id: 'alignmentLine',
+            afterDatasetsDraw(chart) {
+                const { ctx, chartArea, scales } = chart;
+                const x = scales.x.getPixelForValue(0);
+                if (x < chartArea.left || x > chartArea.right) return;
+
+                ctx.save();
+                ctx.strokeStyle = '#4a5568';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.restore();
+            }
+        };
+    }
+
+    setupEventListeners() {
+        const alignSelect = document.getElementById('overlayAlign');
+        alignSelect.innerHTML = ThrowTypes.options(ThrowOverlay.alignments(), this.alignEvent, null);
+        alignSelect.addEventListener('change', () => {
+            this.alignEvent = alignSelect.value;
+            this.update();
+        });
+        document.getElementById('overlayClearBtn').addEventListener('click', () => this.clear());
+    }
+
+    isSelected(throwData) {
+        return this.selectedIds.includes(throwData.id);
+    }
+
+    selectedThrows() {
+        return this.selectedIds
+            .map(id => this.analyzer.throws.find(t => t.id === id))
+            .filter(Boolean);
+    }
+
+    // Returns false when the throw could not be added
+    toggle(throwData, selected) {
+        if (selected && !this.isSelected(throwData)) {
+            if (this.selectedIds.length >= this.maxThrows) {
+                alert(`You can overlay up to ${this.maxThrows} throws at a time.`);
+                return false;
+            }
+            this.selectedIds.push(throwData.id);
+        } else if (!selected) {
+            this.selectedIds = this.selectedIds.filter(id => id !== throwData.id);
+        }
+
+        this.update();
+        return true;
+    }
+
+    clear() {
+        this.selectedIds = [];
+        this.analyzer.updateComparisonTable();
+        this.update();
+    }
+
+    async update() {
+        const updateId = ++this.updateCount;
+        const throws = this.analyzer.throws;
+
+        // Throws that were deleted or belong to another session drop out
+        this.selectedIds = this.selectedIds.filter(id => throws.some(t => t.id === id));
+        const selected = this.selectedIds.map(id => throws.find(t => t.id === id));
+
+        document.getElementById('overlayCount').textContent =
+            `${selected.length} of ${this.maxThrows} selected`;
+        document.getElementById('overlayClearBtn').disabled = selected.length === 0;
+        document.getElementById('overlayReferenceBtn').disabled = selected.length === 0;
+
+        const traces = [];
+        const skipped = [];
+        for (const throwData of selected) {
+            const trace = await this.buildTrace(throwData, throws.indexOf(throwData));
+            if (trace) {
+                traces.push(trace);
+            } else {
+                skipped.push(`#${throws.indexOf(throwData) + 1}`);
+            }
+        }
+
+        // A newer selection finished loading first
+        if (updateId !== this.updateCount) return;
+
+        const message = document.getElementById('overlayMessage');
+        if (skipped.length > 0) {
+            const alignLabel = ThrowOverlay.alignments().find(a => a.value === this.alignEvent).label.toLowerCase();
+            message.textContent = `Throw ${skipped.join(', ')} left out: no raw trace stored or no ${alignLabel} detected.`;
+        } else if (traces.length < this.minThrows) {
+            message.textContent = `Tick ${this.minThrows} to ${this.maxThrows} throws in the table below to overlay them.`;
+        } else {
+            message.textContent = '';
+        }
+
+        this.destroyCharts();
+        const chartsContainer = document.getElementById('overlayCharts');
+        if (traces.length < this.minThrows) {
+            chartsContainer.style.display = 'none';
+            return;
+        }
+        chartsContainer.style.display = '';
+
+        this.createChart('overlayAccelChart', 'accel', traces, trace => trace.accel, 'Forward Acceleration (m/s²)');
+        this.createChart('overlayVelocityChart', 'velocity', traces, trace => trace.velocity, 'Velocity (m/s)');
+        this.createChart('overlayStabilityChart', 'stability', traces, trace => trace.stability, 'Instability (°/s)');
+
+        if (window.analytics) {
+            window.analytics.trackEvent('throws_overlaid', {
+                throwCount: traces.length,
+                alignEvent: this.alignEvent
+            });
+        }
+    }
+
+    // Sample times shifted so the alignment event sits at zero
+    async buildTrace(throwData, index) {
+        let rawData = null;
+        try {
+            rawData = await window.throwStore.getSamples(throwData.id);
+        } catch (error) {
+            console.error('Error loading raw samples:', error);
+        }
+        if (!rawData || !rawData.acceleration || rawData.acceleration.x.length === 0) return null;
+
+        // Imported and older throws may not carry their events, so detect them again
+        let events = throwData.events;
+        if (!events || events[this.alignEvent] === undefined) {
+            events = this.segmenter.segment(rawData).events;
+        }
+        const offset = events[this.alignEvent];
+        if (offset === undefined) return null;
+
+        const points = (timestamps, values) => values.map((y, i) => ({ x: timestamps[i] - offset, y }));
+        const velocity = rawData.velocity || { x: [], timestamps: [] };
+        const gyro = rawData.gyroscope || { x: [], y: [], z: [], timestamps: [] };
+
+        return {
+            label: `#${index + 1} ${ThrowTypes.describe(throwData)}`,
+            accel: points(rawData.acceleration.timestamps, rawData.acceleration.x),
+            velocity: points(velocity.timestamps, velocity.x),
+            stability: points(gyro.timestamps, DeliverySegmenter.stabilityIndex(gyro))
+        };
+    }
+
+    createChart(canvasId, key, traces, valuesOf, yTitle) {
+        const ctx = document.getElementById(canvasId).getContext('2d');
+        const colors = ThrowOverlay.colors();
+        const alignLabel = ThrowOverlay.alignments().find(a => a.value === this.alignEvent).label;
+
+        this.charts[key] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: traces.map((trace, i) => ({
+                    label: trace.label,
+                    data: valuesOf(trace),
+                    borderColor: colors[i % colors.length],
+                    backgroundColor: 'transparent',
+                    tension: 0.1,
+                    borderWidth: 2,
+                    pointRadius: 0
+                }))
+            },
+            plugins: [ThrowOverlay.alignmentPlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'nearest',
+                    axis: 'x'
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        display: true,
+                        title: {
+                            display: true,
+                            text: `Time from ${alignLabel.toLowerCase()} (seconds)`
+                        }
+                    },
+                    y: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: yTitle
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        });
+    }
+
+    destroyCharts() {
+        Object.values(this.charts).forEach(chart => {
+            if (chart) chart.destroy();
+        });
+        this.charts = {};
+    }
+}
@@ -0,0 +1,218 @@
+// An athlete's reference delivery for one weight, built from one throw or the average
+// of several, and a time-warped comparison that scores new throws against it
+class ReferenceDelivery {
+    constructor(record) {
+        this.record = record;
+    }
+
+    static sampleStep() {
+        return 0.04; // seconds - 25 Hz is plenty for the shape of a delivery
+    }
+
+    static warpWindow() {
+        return 0.25; // share of the trace a sample may be matched away from its own time
+    }
+
+    static async load(athleteId, category) {
+        if (!category) return null;
+        const record = await window.throwStore.getReference(athleteId, category);
+        return record ? new ReferenceDelivery(record) : null;
+    }
+
+    // Record for the store from [{ throwData, rawData }], or null if the traces don't overlap
+    static build(athleteId, category, throws) {
+        const traces = throws
+            .map(({ throwData, rawData }) => ReferenceDelivery.traceFrom(rawData, throwData.events, throwData.phases))
+            .filter(Boolean);
+        if (traces.length === 0) return null;
+
+        const trace = ReferenceDelivery.average(traces);
+        if (!trace) return null;
+        return {
+            athleteId,
+            category,
+            throwIds: throws.map(t => t.throwData.id),
+            createdAt: new Date().toISOString(),
+            trace
+        };
+    }
+
+    // Forward acceleration and instability on an even time grid, with time zero at
+    // push-off onset so several throws can be averaged sample by sample
+    static traceFrom(rawData, events, phases) {
+        const accel = rawData.acceleration;
+        const gyro = rawData.gyroscope || { x: [], y: [], timestamps: [] };
+        if (!accel || accel.x.length < 2) return null;
+
+        const zero = events && events.pushoffOnset !== undefined ? events.pushoffOnset : 0;
+        const stability = DeliverySegmenter.stabilityIndex(gyro);
+        const start = accel.timestamps[0] - zero;
+        const end = accel.timestamps[accel.timestamps.length - 1] - zero;
+        const step = ReferenceDelivery.sampleStep();
+
+        const times = [];
+        for (let t = start; t <= end + 1e-9; t += step) times.push(Number(t.toFixed(3)));
+
+        const shifted = (timestamps) => timestamps.map(t => t - zero);
+        return {
+            times,
+            accel: ReferenceDelivery.resample(shifted(accel.timestamps), accel.x, times),
+            stability: gyro.x.length > 0
+                ? ReferenceDelivery.resample(shifted(gyro.timestamps), stability, times)
+                : times.map(() => 0),
+            phases: (phases || []).map(p => ({ name: p.name, startTime: p.startTime - zero, endTime: p.endTime - zero }))
+        };
+    }
+
+    // Linear interpolation of (timestamps, values) at each of times
+    static resample(timestamps, values, times) {
+        let j = 0;
+        return times.map(t => {
+            while (j < timestamps.length - 2 && timestamps[j + 1] < t) j++;
+            const t0 = timestamps[j];
+            const t1 = timestamps[j + 1];
+            if (t1 === undefined || t <= t0) return values[j] || 0;
+            if (t >= t1) return values[j + 1] || 0;
+            const f = (t - t0) / (t1 - t0);
+            return (values[j] || 0) + f * ((values[j + 1] || 0) - (values[j] || 0));
+        });
+    }
+
+    // Average several traces over the time span they all cover
+    static average(traces) {
+        if (traces.length === 1) return traces[0];
+
+        const start = Math.max(...traces.map(t => t.times[0]));
+        const end = Math.min(...traces.map(t => t.times[t.times.length - 1]));
+        if (end <= start) return null;
+
+        const step = ReferenceDelivery.sampleStep();
+        const times = [];
+        for (let t = start; t <= end + 1e-9; t += step) times.push(Number(t.toFixed(3)));
+
+        const mean = (key) => {
+            const columns = traces.map(trace => ReferenceDelivery.resample(trace.times, trace[key], times));
+            return times.map((_, i) => columns.reduce((a, c) => a + c[i], 0) / columns.length);
+        };
+
+        // Phase boundaries are averaged too, keeping only phases every throw had
+        const phases = DeliverySegmenter.phaseDefinitions()
+            .map(d => traces.map(trace => trace.phases.find(p => p.name === d.name)))
+            .filter(found => found.every(Boolean))
+            .map(found => ({
+                name: found[0].name,
+                startTime: Math.max(start, found.reduce((a, p) => a + p.startTime, 0) / found.length),
+                endTime: Math.min(end, found.reduce((a, p) => a + p.endTime, 0) / found.length)
+            }))
+            .filter(p => p.endTime > p.startTime);
+
+        return { times, accel: mean('accel'), stability: mean('stability'), phases };
+    }
+
+    // Distance between two traces after dynamic time warping: each sample is matched to
+    // the most similar point of the other trace within the warp window, so a slower or
+    // longer slide is compared on shape rather than penalised for its timing
+    score(trace) {
+        const reference = this.record.trace;
+        const n = reference.times.length;
+        const m = trace.times.length;
+        if (n < 2 || m < 2) return null;
+
+        const accelScale = Math.max(0.5, ReferenceDelivery.spread(reference.accel));
+        const stabilityScale = Math.max(5, ReferenceDelivery.spread(reference.stability));
+        const cost = (i, j) => (
+            Math.abs(reference.accel[i] - trace.accel[j]) / accelScale +
+            Math.abs(reference.stability[i] - trace.stability[j]) / stabilityScale
+        ) / 2;
+
+        const band = Math.max(Math.abs(n - m), Math.round(Math.max(n, m) * ReferenceDelivery.warpWindow()));
+        const total = [];
+        for (let i = 0; i < n; i++) {
+            total.push(new Float64Array(m).fill(Infinity));
+            const from = Math.max(0, Math.round(i * m / n) - band);
+            const to = Math.min(m - 1, Math.round(i * m / n) + band);
+            for (let j = from; j <= to; j++) {
+                let best;
+                if (i === 0 && j === 0) best = 0;
+                else if (i === 0) best = total[i][j - 1];
+                else if (j === 0) best = total[i - 1][j];
+                else best = Math.min(total[i - 1][j], total[i][j - 1], total[i - 1][j - 1]);
+                total[i][j] = best + cost(i, j);
+            }
+        }
+        if (!Number.isFinite(total[n - 1][m - 1])) return null;
+
+        // Walk the matched path back to share the distance out between the reference phases
+        const phaseCosts = {};
+        let i = n - 1;
+        let j = m - 1;
+        let steps = 0;
+        while (true) {
+            const phase = reference.phases.filter(p => reference.times[i] >= p.startTime && reference.times[i] <= p.endTime).pop();
+            if (phase) {
+                phaseCosts[phase.name] = phaseCosts[phase.name] || { sum: 0, count: 0 };
+                phaseCosts[phase.name].sum += cost(i, j);
+                phaseCosts[phase.name].count++;
+            }
+            steps++;
+            if (i === 0 && j === 0) break;
+            if (i === 0) j--;
+            else if (j === 0) i--;
+            else {
+                const diagonal = total[i - 1][j - 1];
+                const up = total[i - 1][j];
+                const left = total[i][j - 1];
+                if (diagonal <= up && diagonal <= left) {
+                    i--;
+                    j--;
+                } else if (up <= left) {
+                    i--;
+                } else {
+                    j--;
+                }
+            }
+        }
+
+        const similarity = ReferenceDelivery.similarity(total[n - 1][m - 1] / steps);
+        let worstPhase = null;
+        Object.keys(phaseCosts).forEach(name => {
+            const { sum, count } = phaseCosts[name];
+            if (count < 3) return;
+            const phaseSimilarity = ReferenceDelivery.similarity(sum / count);
+            if (!worstPhase || phaseSimilarity < worstPhase.similarity) {
+                worstPhase = { name, similarity: phaseSimilarity };
+            }
+        });
+
+        return { similarity, worstPhase };
+    }
+
+    // Mean matched distance in units of the reference's own spread, as a percentage
+    static similarity(meanCost) {
+        return 100 * Math.exp(-meanCost);
+    }
+
+    static spread(values) {
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        return Math.sqrt(values.reduce((a, v) => a + Math.pow(v - mean, 2), 0) / values.length);
+    }
+
+    static phaseLabel(name) {
+        const definition = DeliverySegmenter.phaseDefinitions().find(d => d.name === name);
+        return definition ? definition.label : name;
+    }
+
+    // e.g. "82% match (Leg Drive differed most, 61%)"
+    static describeScore(similarity, worstPhase, worstSimilarity) {
+        if (similarity === null || similarity === undefined) return null;
+        const text = `${similarity.toFixed(0)}% match`;
+        return worstPhase
+            ? `${text} (${ReferenceDelivery.phaseLabel(worstPhase)} differed most, ${worstSimilarity.toFixed(0)}%)`
+            : text;
+    }
+
+    describe() {
+        const count = this.record.throwIds.length;
+        return count === 1 ? 'one throw' : `average of ${count} throws`;
+    }
+}
@@ -0,0 +1,150 @@
+// Reference WebSocket relay for the remote control and the coach live view.
+// It passes every text message on to the other clients connected on the same path and
+// does nothing else: no accounts, no storage, no reading of the messages.
+// Plain Node, no packages: node relay/relay-server.js [port]
+// Put it behind a TLS proxy (nginx, Caddy) so the app can use wss:// from an https page.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const MAX_MESSAGE = 2 * 1024 * 1024; // bytes - a finished throw with its trace fits easily
+const MAX_CLIENTS_PER_ROOM = 20;
+
+const rooms = new Map(); // path -> Set of sockets
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+}
+
+function frame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function send(socket, opcode, payload) {
+    if (!socket.destroyed) socket.write(frame(opcode, payload));
+}
+
+function close(socket, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    send(socket, 0x8, payload);
+    socket.end();
+}
+
+function broadcast(room, from, text) {
+    room.forEach(client => {
+        if (client !== from) send(client, 0x1, text);
+    });
+}
+
+// Client frames are always masked; messages may be split over continuation frames
+function attach(socket, room) {
+    let buffer = Buffer.alloc(0);
+    let message = [];
+    let messageLength = 0;
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                const long = buffer.readBigUInt64BE(2);
+                if (long > BigInt(MAX_MESSAGE)) return close(socket, 1009);
+                length = Number(long);
+                offset = 10;
+            }
+            if (!masked) return close(socket, 1002);
+            if (buffer.length < offset + 4 + length) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffer = buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x8) return close(socket, 1000);
+            if (opcode === 0x9) {
+                send(socket, 0xA, payload);
+                continue;
+            }
+            if (opcode === 0xA) continue;
+            if (opcode === 0x2) return close(socket, 1003); // the app only sends JSON text
+
+            messageLength += payload.length;
+            if (messageLength > MAX_MESSAGE) return close(socket, 1009);
+            message.push(payload);
+            if (fin) {
+                broadcast(room, socket, Buffer.concat(message));
+                message = [];
+                messageLength = 0;
+            }
+        }
+    });
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket relay for the Curling Slide Analyzer\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    // Clients on the same path hear each other, e.g. wss://relay.example.org/k3v9q2xh
+    const path = request.url.split('?')[0];
+    const room = rooms.get(path) || new Set();
+    if (room.size >= MAX_CLIENTS_PER_ROOM) {
+        socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+        return;
+    }
+    rooms.set(path, room);
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    room.add(socket);
+
+    const leave = () => {
+        room.delete(socket);
+        if (room.size === 0 && rooms.get(path) === room) rooms.delete(path);
+    };
+    socket.on('close', leave);
+    socket.on('error', leave);
+    attach(socket, room);
+});
+
+server.listen(PORT, () => console.log(`Relay listening on port ${PORT}`));
@@ -0,0 +1,353 @@
+// Starts, stops and labels recordings from somewhere other than the screen: keyboard
+// shortcuts, play/pause on Bluetooth headphones, and JSON commands over a BroadcastChannel
+// (other tabs on this device) or a WebSocket relay (a watch or a coach's phone).
+//
+// Commands:  { "type": "command", "command": "toggle", "id": "42" }
+//            { "type": "command", "command": "label", "category": "draw", "turn": "in", "target": "last" }
+// Replies:   { "type": "ack", "id": "42", "ok": true }
+// Status:    { "type": "status", "state": "recording", "athleteId": "...", "category": "draw", ... }
+class RemoteControl {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.urlKey = 'curling_remote_url';
+        this.socket = null;
+        this.socketUrl = localStorage.getItem(this.urlKey) || '';
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.headphoneAudio = null;
+        this.lastStatus = null;
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel('curling_remote');
+            this.channel.onmessage = (event) => this.receive(event.data, (reply) => this.channel.postMessage(reply));
+        } else {
+            this.channel = null;
+        }
+
+        this.setupEventListeners();
+        if (this.socketUrl) this.connect(this.socketUrl);
+    }
+
+    static commands() {
+        return [
+            { command: 'start', description: 'Start recording' },
+            { command: 'stop', description: 'Stop recording and save the throw' },
+            { command: 'toggle', description: 'Start or stop recording' },
+            { command: 'arm', description: 'Arm a hands-free recording' },
+            { command: 'disarm', description: 'Cancel an armed recording' },
+            { command: 'label', description: 'Set athleteId, category and turn for the next throw, or the last one with target "last"' },
+            { command: 'status', description: 'Reply with the current status' }
+        ];
+    }
+
+    // Single keys act only when no form field has focus; Ctrl/⌘+R works anywhere
+    static shortcuts() {
+        return [
+            { key: 'r', description: 'Start or stop recording (also Ctrl/⌘+R)' },
+            { key: 'a', description: 'Arm or disarm' },
+            ...ThrowTypes.categories().map((c, i) => ({ key: String(i + 1), description: `Weight: ${c.label}` })),
+            { key: '0', description: 'Weight: Untagged' }
+        ];
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (event) => this.handleKey(event));
+
+        const headphoneToggle = document.getElementById('headphoneControlToggle');
+        headphoneToggle.addEventListener('change', () => {
+            if (headphoneToggle.checked) {
+                this.enableHeadphoneButtons();
+            } else {
+                this.disableHeadphoneButtons();
+            }
+        });
+
+        const urlInput = document.getElementById('remoteUrl');
+        urlInput.value = this.socketUrl;
+        document.getElementById('remoteConnectBtn').addEventListener('click', () => {
+            if (this.socket) {
+                this.disconnect();
+            } else {
+                this.connect(urlInput.value.trim());
+            }
+        });
+
+        // Picker changes, by hand or by remote, are passed on to remotes
+        ['athleteSelect', 'weightCategory', 'turnSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.publishStatus());
+        });
+
+        document.getElementById('remoteShortcuts').innerHTML = RemoteControl.shortcuts()
+            .map(s => `<li><kbd>${s.key.toUpperCase()}</kbd> ${s.description}</li>`)
+            .join('');
+    }
+
+    handleKey(event) {
+        const key = event.key.toLowerCase();
+
+        // Ctrl/⌘+R would reload the page mid-recording, so it toggles recording instead
+        if ((event.ctrlKey || event.metaKey) && key === 'r') {
+            event.preventDefault();
+            this.execute({ command: 'toggle' }, 'keyboard');
+            return;
+        }
+
+        if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))) return;
+
+        const categories = ThrowTypes.categories();
+        if (key === 'r') {
+            this.execute({ command: 'toggle' }, 'keyboard');
+        } else if (key === 'a') {
+            this.execute({ command: this.analyzer.armState ? 'disarm' : 'arm' }, 'keyboard');
+        } else if (key === '0') {
+            this.execute({ command: 'label', category: null }, 'keyboard');
+        } else if (Number(key) >= 1 && Number(key) <= categories.length) {
+            this.execute({ command: 'label', category: categories[Number(key) - 1].value }, 'keyboard');
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    // Headphone and lock-screen play/pause only reach a page that is playing media,
+    // so a silent clip loops while this is on. Turned on from the checkbox tap.
+    enableHeadphoneButtons() {
+        if (!('mediaSession' in navigator)) {
+            alert('Headphone buttons are not supported in this browser.');
+            document.getElementById('headphoneControlToggle').checked = false;
+            return;
+        }
+
+        if (!this.headphoneAudio) {
+            this.headphoneAudio = new Audio(RemoteControl.silentClip());
+            this.headphoneAudio.loop = true;
+        }
+        this.headphoneAudio.play().catch(error => console.log('Silent clip blocked:', error));
+
+        navigator.mediaSession.metadata = new MediaMetadata({ title: 'Peel Weight', artist: 'Curling Slide Analyzer' });
+        navigator.mediaSession.setActionHandler('play', () => this.execute({ command: 'start' }, 'headphones'));
+        navigator.mediaSession.setActionHandler('pause', () => this.execute({ command: 'stop' }, 'headphones'));
+        navigator.mediaSession.setActionHandler('stop', () => this.execute({ command: 'stop' }, 'headphones'));
+        navigator.mediaSession.setActionHandler('nexttrack', () => {
+            this.execute({ command: this.analyzer.armState ? 'disarm' : 'arm' }, 'headphones');
+        });
+        this.updateMediaSession();
+    }
+
+    disableHeadphoneButtons() {
+        if (this.headphoneAudio) this.headphoneAudio.pause();
+        if (!('mediaSession' in navigator)) return;
+        ['play', 'pause', 'stop', 'nexttrack'].forEach(action => navigator.mediaSession.setActionHandler(action, null));
+        navigator.mediaSession.metadata = null;
+    }
+
+    updateMediaSession() {
+        if (!('mediaSession' in navigator) || !this.headphoneAudio || this.headphoneAudio.paused) return;
+        navigator.mediaSession.playbackState = this.analyzer.isRecording ? 'playing' : 'paused';
+        navigator.mediaSession.metadata.title = `Peel Weight: ${this.stateLabel()}`;
+    }
+
+    // One second of 8 kHz 8-bit silence as a WAV data URL
+    static silentClip() {
+        const samples = 8000;
+        const bytes = [];
+        const text = (s) => s.split('').forEach(c => bytes.push(c.charCodeAt(0)));
+        const uint = (value, size) => {
+            for (let i = 0; i < size; i++) bytes.push((value >> (8 * i)) & 0xff);
+        };
+        text('RIFF');
+        uint(36 + samples, 4);
+        text('WAVE');
+        text('fmt ');
+        uint(16, 4); // format chunk size
+        uint(1, 2); // PCM
+        uint(1, 2); // mono
+        uint(8000, 4); // sample rate
+        uint(8000, 4); // bytes per second
+        uint(1, 2); // block align
+        uint(8, 2); // bits per sample
+        text('data');
+        uint(samples, 4);
+        for (let i = 0; i < samples; i++) bytes.push(128);
+        return 'data:audio/wav;base64,' + btoa(String.fromCharCode(...bytes));
+    }
+
+    connect(url) {
+        if (!url) {
+            alert('Enter the relay address, e.g. wss://example.org/peel-weight');
+            return;
+        }
+        if (!/^wss?:\/\//.test(url)) {
+            alert('The relay address has to start with ws:// or wss://');
+            return;
+        }
+
+        this.socketUrl = url;
+        localStorage.setItem(this.urlKey, url);
+        clearTimeout(this.reconnectTimer);
+        this.setConnectionStatus('Connecting...');
+
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            console.error('Error opening remote connection:', error);
+            this.setConnectionStatus('Could not connect');
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            this.setConnectionStatus('Connected');
+            this.lastStatus = null;
+            this.publishStatus();
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.log('Ignoring non-JSON remote message');
+                return;
+            }
+            this.receive(message, (reply) => {
+                if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(reply));
+            });
+        };
+        // Rink wifi drops out, so keep trying with a growing delay until disconnected by hand
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.setConnectionStatus(`Disconnected, retrying in ${Math.round(this.reconnectDelay / 1000)}s`);
+            this.reconnectTimer = setTimeout(() => {
+                if (this.socket === socket) this.connect(this.socketUrl);
+            }, this.reconnectDelay);
+            this.reconnectDelay = Math.min(30000, this.reconnectDelay * 2);
+        };
+        socket.onerror = (error) => console.error('Remote connection error:', error);
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        localStorage.removeItem(this.urlKey);
+        this.setConnectionStatus('Not connected');
+    }
+
+    setConnectionStatus(text) {
+        document.getElementById('remoteStatus').textContent = text;
+        document.getElementById('remoteConnectBtn').textContent = this.socket ? 'Disconnect' : 'Connect';
+    }
+
+    receive(message, reply) {
+        if (!message || message.type !== 'command') return;
+        const result = this.execute(message, 'remote');
+        reply({ type: 'ack', id: message.id !== undefined ? message.id : null, ok: result.ok, error: result.error || null });
+        if (message.command === 'status') this.publishStatus(true);
+    }
+
+    // Returns { ok, error }; commands that don't fit the current state are refused, not queued
+    execute(message, source) {
+        const analyzer = this.analyzer;
+        const command = message.command;
+        let error = null;
+
+        if (command === 'toggle') {
+            return this.execute({ ...message, command: analyzer.isRecording ? 'stop' : 'start' }, source);
+        } else if (command === 'start') {
+            if (analyzer.isRecording) error = 'Already recording';
+            else if (analyzer.armState || analyzer.practiceMode) error = 'Armed: recording starts on the push-off';
+            else analyzer.startRecording();
+        } else if (command === 'stop') {
+            if (!analyzer.isRecording) error = 'Not recording';
+            else analyzer.stopRecording();
+        } else if (command === 'arm') {
+            if (analyzer.isRecording || analyzer.armState) error = 'Already recording or armed';
+            else analyzer.arm();
+        } else if (command === 'disarm') {
+            if (!analyzer.armState || analyzer.practiceMode) error = 'Not armed';
+            else analyzer.disarm();
+        } else if (command === 'label') {
+            error = this.applyLabel(message);
+        } else if (command !== 'status') {
+            error = `Unknown command: ${command}`;
+        }
+
+        if (error) {
+            console.log(`Remote ${command} from ${source} refused: ${error}`);
+        } else if (window.analytics) {
+            window.analytics.trackEvent('remote_command', { command, source });
+        }
+        return { ok: !error, error };
+    }
+
+    // Fields left out of the message keep their current value
+    applyLabel(message) {
+        const analyzer = this.analyzer;
+        const validCategory = message.category === undefined || message.category === null ||
+            ThrowTypes.categories().some(c => c.value === message.category);
+        const validTurn = message.turn === undefined || message.turn === null ||
+            ThrowTypes.turns().some(t => t.value === message.turn);
+        const validAthlete = message.athleteId === undefined ||
+            message.athleteId === window.throwStore.guestAthleteId ||
+            analyzer.athletes.some(a => a.id === message.athleteId);
+        if (!validCategory) return `Unknown category: ${message.category}`;
+        if (!validTurn) return `Unknown turn: ${message.turn}`;
+        if (!validAthlete) return `Unknown athlete: ${message.athleteId}`;
+        if (message.target === 'last' && !analyzer.lastThrowId) return 'No throw to label yet';
+
+        // Going through the pickers keeps the remembered type and reference in step
+        const select = (id, value) => {
+            const element = document.getElementById(id);
+            element.value = value || '';
+            element.dispatchEvent(new Event('change'));
+        };
+        if (message.athleteId !== undefined) select('athleteSelect', message.athleteId);
+        if (message.category !== undefined) select('weightCategory', message.category);
+        if (message.turn !== undefined) select('turnSelect', message.turn);
+
+        if (message.target === 'last') analyzer.retagLastThrow();
+        return null;
+    }
+
+    stateLabel() {
+        const analyzer = this.analyzer;
+        if (analyzer.isRecording) return 'Recording';
+        if (analyzer.armState) return 'Armed';
+        return 'Ready';
+    }
+
+    buildStatus() {
+        const analyzer = this.analyzer;
+        const throwType = analyzer.getThrowType();
+        return {
+            type: 'status',
+            state: analyzer.isRecording ? 'recording' : (analyzer.armState ? 'armed' : 'idle'),
+            armState: analyzer.armState,
+            practiceMode: analyzer.practiceMode,
+            practiceThrows: analyzer.practiceThrows,
+            athleteId: analyzer.athleteId,
+            athleteName: AthleteRoster.nameFor(analyzer.athleteId, analyzer.athletes),
+            category: throwType.category,
+            turn: throwType.turn,
+            lastThrowId: analyzer.lastThrowId
+        };
+    }
+
+    // Sent whenever the recording page's state changes, so a remote can show it
+    publishStatus(force = false) {
+        const status = this.buildStatus();
+        const serialized = JSON.stringify(status);
+        if (!force && serialized === this.lastStatus) return;
+        this.lastStatus = serialized;
+
+        if (this.channel) this.channel.postMessage(status);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(serialized);
+        this.analyzer.coachStream.send(status);
+        this.updateMediaSession();
+    }
+}
@@ -0,0 +1,212 @@
+// Plays a recorded throw back: a time scrubber drives a cursor across every chart,
+// the six sensor readouts and any synced video, in real time or slowed down for coaching
+class ThrowReplay {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.sensorData = null;
+        this.phases = [];
+        this.duration = 0;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frame = null;
+        this.lastFrameTime = null;
+
+        this.setupEventListeners();
+    }
+
+    static speeds() {
+        return [0.25, 0.5, 1, 1.5, 2];
+    }
+
+    // Chart.js plugin drawing the playback cursor; chart labels are sample times in seconds
+    cursorPlugin() {
+        const replay = this;
+        return {
+            id: 'replayCursor',
+            afterDatasetsDraw(chart) {
+                if (!replay.sensorData || (replay.time === 0 && !replay.playing)) return;
+
+                const { ctx, chartArea, scales } = chart;
+                const index = ThrowReplay.indexAt(chart.data.labels, replay.time);
+                if (index === -1) return;
+
+                const x = scales.x.getPixelForValue(index);
+                if (x < chartArea.left || x > chartArea.right) return;
+
+                ctx.save();
+                ctx.strokeStyle = '#2d3748';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.restore();
+            }
+        };
+    }
+
+    // Index of the last sample at or before time (timestamps are sorted)
+    static indexAt(timestamps, time) {
+        if (!timestamps || timestamps.length === 0) return -1;
+        let low = 0;
+        let high = timestamps.length - 1;
+        if (time <= timestamps[0]) return 0;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (Number(timestamps[mid]) <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    setupEventListeners() {
+        document.getElementById('replayPlayBtn').addEventListener('click', () => this.toggle());
+        document.getElementById('replayScrubber').addEventListener('input', (event) => {
+            this.pause();
+            this.seek(parseFloat(event.target.value));
+        });
+        const speedSelect = document.getElementById('replaySpeed');
+        speedSelect.innerHTML = ThrowReplay.speeds()
+            .map(speed => `<option value="${speed}" ${speed === this.speed ? 'selected' : ''}>${speed}x</option>`)
+            .join('');
+        speedSelect.addEventListener('change', (event) => {
+            this.speed = parseFloat(event.target.value) || 1;
+            this.analyzer.videoSync.setSpeed(this.speed);
+        });
+    }
+
+    load(sensorData, phases) {
+        this.pause();
+        this.sensorData = sensorData;
+        this.phases = phases || [];
+
+        const times = sensorData.acceleration.timestamps;
+        this.duration = times.length > 0 ? times[times.length - 1] : 0;
+
+        const scrubber = document.getElementById('replayScrubber');
+        scrubber.max = this.duration;
+        document.getElementById('replayDuration').textContent = this.duration.toFixed(2);
+        document.getElementById('replaySection').style.display = this.duration > 0 ? 'block' : 'none';
+
+        this.seek(0);
+    }
+
+    reset() {
+        this.pause();
+        this.sensorData = null;
+        this.phases = [];
+        this.duration = 0;
+        this.time = 0;
+        document.getElementById('replaySection').style.display = 'none';
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        if (!this.sensorData || this.duration <= 0) return;
+
+        // Start again from the top once the end has been reached
+        if (this.time >= this.duration) this.seek(0);
+
+        this.playing = true;
+        this.lastFrameTime = null;
+        this.analyzer.videoSync.setSpeed(this.speed);
+        this.updatePlayButton();
+        this.frame = requestAnimationFrame((now) => this.tick(now));
+
+        if (window.analytics) {
+            window.analytics.trackEvent('replay_play', {
+                speed: this.speed,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    pause() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.playing = false;
+        this.analyzer.videoSync.pause();
+        this.updatePlayButton();
+    }
+
+    tick(now) {
+        if (!this.playing) return;
+
+        if (this.lastFrameTime !== null) {
+            const elapsed = (now - this.lastFrameTime) / 1000;
+            this.seek(Math.min(this.duration, this.time + elapsed * this.speed));
+        }
+        this.lastFrameTime = now;
+
+        if (this.time >= this.duration) {
+            this.pause();
+            return;
+        }
+        this.frame = requestAnimationFrame((next) => this.tick(next));
+    }
+
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+        document.getElementById('replayScrubber').value = this.time;
+        document.getElementById('replayTime').textContent = this.time.toFixed(2);
+
+        this.updateReadouts();
+        this.updateCharts();
+        this.analyzer.videoSync.seek(this.time, this.playing);
+    }
+
+    updateReadouts() {
+        if (!this.sensorData) return;
+
+        const accel = this.sensorData.acceleration;
+        const gyro = this.sensorData.gyroscope;
+        const velocity = this.sensorData.velocity;
+        const a = ThrowReplay.indexAt(accel.timestamps, this.time);
+        const g = ThrowReplay.indexAt(gyro.timestamps, this.time);
+        const v = ThrowReplay.indexAt(velocity.timestamps, this.time);
+        const format = (values, index) => index !== -1 && values[index] !== undefined ? values[index].toFixed(2) : '-';
+
+        document.getElementById('replayAccelX').textContent = format(accel.x, a);
+        document.getElementById('replayAccelY').textContent = format(accel.y, a);
+        document.getElementById('replayAccelZ').textContent = format(accel.z, a);
+        document.getElementById('replayGyroX').textContent = format(gyro.x, g);
+        document.getElementById('replayGyroY').textContent = format(gyro.y, g);
+        document.getElementById('replayGyroZ').textContent = format(gyro.z, g);
+        document.getElementById('replayVelocity').textContent = format(velocity.x, v);
+        document.getElementById('replayPhase').textContent = this.currentPhaseLabel();
+    }
+
+    // Release overlaps the end of the glide, so the later phase wins
+    currentPhaseLabel() {
+        const phase = this.phases.filter(p => this.time >= p.startTime && this.time <= p.endTime).pop();
+        if (!phase) return '-';
+        const definition = DeliverySegmenter.phaseDefinitions().find(d => d.name === phase.name);
+        return definition ? definition.label : phase.name;
+    }
+
+    // Redraw only; the data and scales are unchanged
+    updateCharts() {
+        Object.values(this.analyzer.charts).forEach(chart => {
+            if (chart) chart.draw();
+        });
+    }
+
+    updatePlayButton() {
+        const button = document.getElementById('replayPlayBtn');
+        button.textContent = this.playing ? '⏸️ Pause' : '▶️ Play';
+    }
+}
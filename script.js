@@ -3,18 +3,58 @@ class CurlingSlideAnalyzer {
         this.isRecording = false;
         this.sensorData = {
             acceleration: { x: [], y: [], z: [], timestamps: [] },
+            linearAcceleration: { x: [], y: [], z: [] },
             gyroscope: { x: [], y: [], z: [], timestamps: [] },
-            velocity: { x: [], timestamps: [] }
+            velocity: { x: [], timestamps: [] },
+            sensors: {} // other worn sensors by location, on the torso's timeline
         };
         this.startTime = null;
         this.recordingInterval = null;
         this.charts = {};
+        this.sensorFusion = new SensorFusion();
+        this.sensorSource = SensorSources.load();
+        this.calibration = DeviceCalibration.load(this.sensorSource.key);
+        this.sensorRig = new SensorRig();
+        this.fusionInfo = null;
+        this.driftReport = null;
+        this.segmenter = new DeliverySegmenter();
+        this.segmentation = null;
+        this.trimStart = 0; // seconds cut from the start of the recording before the throw
+        this.iceModel = IceSpeedModel.load();
+        this.athleteId = window.throwStore.getCurrentAthleteId();
+        this.athletes = [];
+        this.splitCalibration = null;
+        this.reference = null;
+        this.audioFeedback = new AudioFeedback();
+        this.lastAnalysis = null;
+        this.motionTrigger = new MotionTrigger();
+        this.armCountdown = 5; // seconds to pocket the phone before the trigger starts watching
+        this.armState = null; // 'countdown', 'settling' or 'ready' while armed
+        this.armTimer = null;
+        this.armHandler = null;
+        this.practiceMode = false; // practice end: every stone is recorded and saved in turn
+        this.practiceThrows = 0;
+        this.practiceMaxSeconds = 15; // a stone is cut off here if the athlete never settles
+        this.throwTypeKey = 'curling_throw_type';
+        this.lastThrowId = null;
         
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
+        this.calibrationWizard = new CalibrationWizard(this);
+        this.setupSensorSourcePicker();
+        this.setupExtraSensors();
+        this.videoSync = new VideoSync(this);
+        this.replay = new ThrowReplay(this);
+        this.coachStream = new CoachStream(this);
+        this.remote = new RemoteControl(this);
+        this.setupThrowTypePicker();
+        this.setupAthletePicker();
+        await this.loadAthletes();
+        await this.loadSplitCalibration();
+        await this.loadReference();
         await this.checkSensorSupport();
         this.updateUI();
     }
@@ -30,6 +70,28 @@ class CurlingSlideAnalyzer {
             }
         });
 
+        document.getElementById('armBtn').addEventListener('click', () => {
+            if (this.armState) {
+                this.disarm();
+            } else {
+                this.arm();
+            }
+        });
+
+        document.getElementById('practiceBtn').addEventListener('click', () => {
+            if (this.practiceMode) {
+                this.endPractice();
+            } else {
+                this.startPractice();
+            }
+        });
+
+        const audioToggle = document.getElementById('audioFeedbackToggle');
+        audioToggle.checked = this.audioFeedback.enabled;
+        audioToggle.addEventListener('change', () => {
+            this.audioFeedback.setEnabled(audioToggle.checked);
+        });
+
         // Handle orientation change
         window.addEventListener('orientationchange', () => {
             setTimeout(() => {
@@ -43,6 +105,192 @@ class CurlingSlideAnalyzer {
         });
     }
 
+    setupThrowTypePicker() {
+        // The last choice carries over, since a drill usually repeats one weight
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.throwTypeKey) || '{}');
+        } catch (error) {
+            console.error('Stored throw type is unreadable:', error);
+        }
+
+        const categorySelect = document.getElementById('weightCategory');
+        const turnSelect = document.getElementById('turnSelect');
+        categorySelect.innerHTML = ThrowTypes.options(ThrowTypes.categories(), saved.category, 'Untagged');
+        turnSelect.innerHTML = ThrowTypes.options(ThrowTypes.turns(), saved.turn, 'Not set');
+
+        const remember = () => {
+            localStorage.setItem(this.throwTypeKey, JSON.stringify(this.getThrowType()));
+        };
+        categorySelect.addEventListener('change', () => {
+            remember();
+            this.loadReference();
+        });
+        turnSelect.addEventListener('change', remember);
+
+        document.getElementById('retagLastBtn').addEventListener('click', () => {
+            this.retagLastThrow();
+        });
+        document.getElementById('saveSplitBtn').addEventListener('click', () => {
+            this.saveMeasuredSplit();
+        });
+
+        // Ice speed feeds the release-velocity weight prediction
+        const iceInput = document.getElementById('iceDrawTime');
+        iceInput.value = this.iceModel.config.drawTime.toFixed(1);
+        iceInput.addEventListener('change', () => {
+            const drawTime = parseFloat(iceInput.value);
+            if (!(drawTime >= 8 && drawTime <= 30)) {
+                iceInput.value = this.iceModel.config.drawTime.toFixed(1);
+                return;
+            }
+            this.iceModel.save({ drawTime });
+        });
+    }
+
+    setupAthletePicker() {
+        document.getElementById('athleteSelect').addEventListener('change', (event) => {
+            this.setAthlete(event.target.value);
+        });
+        document.getElementById('addAthleteBtn').addEventListener('click', () => {
+            this.addAthlete();
+        });
+
+        // Roster and reference edits on the analysis page show up here
+        window.throwStore.onChange((change) => {
+            if (change.type === 'athlete') this.loadAthletes();
+            if (change.type === 'reference') this.loadReference();
+        });
+    }
+
+    async loadAthletes() {
+        try {
+            this.athletes = await window.throwStore.getAthletes();
+        } catch (error) {
+            console.error('Error loading athletes:', error);
+            this.athletes = [];
+        }
+
+        if (this.athleteId !== window.throwStore.guestAthleteId && !this.athletes.some(a => a.id === this.athleteId)) {
+            this.athleteId = window.throwStore.guestAthleteId;
+        }
+        document.getElementById('athleteSelect').innerHTML = AthleteRoster.options(this.athletes, this.athleteId);
+    }
+
+    async setAthlete(athleteId) {
+        this.athleteId = athleteId;
+        window.throwStore.setCurrentAthleteId(athleteId);
+        await this.loadSplitCalibration();
+        await this.loadReference();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('athlete_selected', { isGuest: athleteId === window.throwStore.guestAthleteId });
+        }
+    }
+
+    async addAthlete() {
+        const name = prompt('Athlete name:');
+        if (!name || !name.trim()) return;
+
+        try {
+            const athlete = await window.throwStore.createAthlete({ name: name.trim() });
+            this.athleteId = athlete.id;
+            await this.loadAthletes();
+            await this.setAthlete(athlete.id);
+        } catch (error) {
+            console.error('Error adding athlete:', error);
+            alert('Error adding athlete: ' + error.message);
+        }
+    }
+
+    async loadSplitCalibration() {
+        try {
+            this.splitCalibration = await SplitCalibration.load(this.athleteId);
+        } catch (error) {
+            console.error('Error loading split calibration:', error);
+            this.splitCalibration = null;
+        }
+    }
+
+    // Reference delivery for the selected athlete and weight, if one has been set
+    async loadReference() {
+        try {
+            this.reference = await ReferenceDelivery.load(this.athleteId, this.getThrowType().category);
+        } catch (error) {
+            console.error('Error loading reference delivery:', error);
+            this.reference = null;
+        }
+    }
+
+    // Stopwatch hog-to-hog split for the throw that was just saved
+    async saveMeasuredSplit() {
+        if (!this.lastThrowId) return;
+
+        const input = document.getElementById('measuredSplit');
+        const measuredSplit = parseFloat(input.value);
+        if (!(measuredSplit > 0 && measuredSplit < 60)) {
+            alert('Enter the hog-to-hog split in seconds, e.g. 13.8');
+            return;
+        }
+
+        try {
+            await window.throwStore.updateThrow(this.lastThrowId, { measuredSplit });
+            await this.loadSplitCalibration();
+        } catch (error) {
+            console.error('Error saving split:', error);
+            alert('Error saving split: ' + error.message);
+            return;
+        }
+
+        document.getElementById('throwTypeHint').textContent = this.splitCalibration
+            ? `Split saved. Weight predictions now use your splits (${this.splitCalibration.describe()}).`
+            : `Split saved. ${SplitCalibration.minimumThrows()} timed throws are needed before predictions use your splits.`;
+
+        if (window.analytics) {
+            window.analytics.trackEvent('split_recorded', { measuredSplit });
+        }
+    }
+
+    getThrowType() {
+        return {
+            category: document.getElementById('weightCategory').value || null,
+            turn: document.getElementById('turnSelect').value || null
+        };
+    }
+
+    // Post-throw tagging: correct the thrower and type of the throw that was just saved
+    async retagLastThrow() {
+        if (!this.lastThrowId) return;
+
+        const throwType = this.getThrowType();
+        try {
+            const updated = await window.throwStore.updateThrow(this.lastThrowId, {
+                ...throwType,
+                athleteId: this.athleteId
+            });
+            if (!updated) {
+                this.hideRetag();
+                return;
+            }
+            document.getElementById('throwTypeHint').textContent =
+                `Last throw tagged as ${ThrowTypes.describe(updated)} by ${AthleteRoster.nameFor(updated.athleteId, this.athletes)}.`;
+        } catch (error) {
+            console.error('Error retagging throw:', error);
+            alert('Error updating throw type: ' + error.message);
+            return;
+        }
+
+        if (window.analytics) {
+            window.analytics.trackEvent('throw_retagged', throwType);
+        }
+    }
+
+    hideRetag() {
+        document.getElementById('retagLastBtn').style.display = 'none';
+        document.getElementById('splitEntry').style.display = 'none';
+        document.getElementById('throwTypeHint').textContent = 'Pick the athlete and intended weight before the throw.';
+    }
+
     async checkSensorSupport() {
         const accelStatus = document.getElementById('accelStatus');
         const gyroStatus = document.getElementById('gyroStatus');
@@ -88,26 +336,158 @@ class CurlingSlideAnalyzer {
         sensorStatusSection.style.display = hasIssues ? 'block' : 'none';
     }
 
+    // Permission for the phone's sensors, or connecting the Bluetooth sensor if it isn't yet
     async requestPermissions() {
-        if (typeof DeviceMotionEvent.requestPermission === 'function') {
-            try {
-                const motionPermission = await DeviceMotionEvent.requestPermission();
-                const orientationPermission = await DeviceOrientationEvent.requestPermission();
-                
-                if (motionPermission === 'granted' && orientationPermission === 'granted') {
-                    this.updateSensorStatus();
-                    return true;
-                } else {
-                    alert('Sensor permissions are required for this app to work.');
-                    return false;
-                }
-            } catch (error) {
-                console.error('Error requesting permissions:', error);
-                alert('Error requesting sensor permissions.');
-                return false;
+        const source = this.sensorSource;
+        const granted = await source.requestAccess();
+        if (!granted) return false;
+
+        if (source.type === 'devicemotion') this.updateSensorStatus();
+        this.sensorSourceChanged();
+        return true;
+    }
+
+    setupSensorSourcePicker() {
+        const select = document.getElementById('sensorSourceSelect');
+        SensorSources.options().forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            element.disabled = option.value !== 'devicemotion' && !BluetoothImuSource.isSupported();
+            select.appendChild(element);
+        });
+        select.value = this.sensorSource.type === 'bluetooth' ? `bluetooth:${this.sensorSource.profile.id}` : 'devicemotion';
+
+        select.addEventListener('change', () => {
+            if (this.isRecording || this.armState) {
+                select.value = localStorage.getItem(SensorSources.storageKey()) || 'devicemotion';
+                return;
             }
+            if (this.sensorSource.type === 'bluetooth') this.sensorSource.disconnect();
+            localStorage.setItem(SensorSources.storageKey(), select.value);
+            this.setSensorSource(SensorSources.create(select.value));
+
+            if (window.analytics) {
+                window.analytics.trackEvent('sensor_source_selected', {
+                    source: select.value,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+        document.getElementById('sensorConnectBtn').addEventListener('click', async () => {
+            if (this.sensorSource.isReady()) {
+                this.sensorSource.disconnect();
+            } else {
+                await this.requestPermissions();
+            }
+            this.updateSensorSourceUI();
+        });
+
+        this.setSensorSource(this.sensorSource);
+    }
+
+    setSensorSource(source) {
+        this.sensorSource = source;
+        source.onDisconnect = () => this.handleSensorLost();
+        this.sensorSourceChanged();
+    }
+
+    // A Bluetooth source only knows its per-device key once connected, and calibration is
+    // stored per key, so it is reloaded whenever the key may have changed
+    sensorSourceChanged() {
+        if (this.calibration.deviceKey !== this.sensorSource.key) {
+            this.calibration = DeviceCalibration.load(this.sensorSource.key);
+            this.calibrationWizard.updateStatus();
         }
-        return true; // Assume granted for non-iOS devices
+        this.updateSensorSourceUI();
+    }
+
+    updateSensorSourceUI() {
+        const source = this.sensorSource;
+        const bluetooth = source.type === 'bluetooth';
+        const connectBtn = document.getElementById('sensorConnectBtn');
+        const status = document.getElementById('sensorSourceStatus');
+
+        connectBtn.style.display = bluetooth ? 'inline-flex' : 'none';
+        connectBtn.textContent = source.isReady() ? 'Disconnect' : 'Connect';
+        connectBtn.disabled = this.isRecording || !!this.armState;
+        document.getElementById('sensorSourceSelect').disabled = this.isRecording || !!this.armState;
+        if (!bluetooth) {
+            status.textContent = '';
+        } else if (source.isReady()) {
+            status.textContent = `Connected to ${source.label}. Strap it on the way you calibrated it.`;
+        } else {
+            status.textContent = BluetoothImuSource.isSupported()
+                ? 'Not connected: tap Connect, or start recording to pick the sensor.'
+                : 'Web Bluetooth isn\'t available in this browser.';
+        }
+    }
+
+    // The Bluetooth sensor dropped out: whatever was recorded is kept, nothing waits for more
+    handleSensorLost() {
+        if (this.practiceMode) {
+            this.endPractice();
+        } else if (this.isRecording) {
+            this.stopRecording();
+        } else if (this.armState) {
+            this.disarm();
+        }
+        this.updateSensorSourceUI();
+        alert('The Bluetooth sensor disconnected.');
+    }
+
+    // Foot and broom sensors record alongside the torso; losing one mid-throw only loses its stream
+    setupExtraSensors() {
+        const list = document.getElementById('extraSensorList');
+        Object.entries(SensorRig.locations()).forEach(([location, info]) => {
+            const row = document.createElement('div');
+            row.className = 'extra-sensor-row';
+            row.innerHTML = `
+                <span>${info.icon} ${info.label}: <strong id="extraSensorStatus-${location}">Not connected</strong></span>
+                <button class="small-btn" id="extraSensorBtn-${location}">Connect</button>
+            `;
+            list.appendChild(row);
+
+            row.querySelector('button').addEventListener('click', async () => {
+                if (this.sensorRig.isConnected(location)) {
+                    this.sensorRig.disconnect(location);
+                } else {
+                    await this.sensorRig.connect(location, document.getElementById('extraSensorProfile').value);
+                }
+                this.updateExtraSensorsUI();
+            });
+        });
+
+        const profileSelect = document.getElementById('extraSensorProfile');
+        Object.values(BluetoothImuSource.profiles()).forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.label;
+            profileSelect.appendChild(option);
+        });
+
+        this.sensorRig.onChange = () => this.updateExtraSensorsUI();
+        this.updateExtraSensorsUI();
+    }
+
+    updateExtraSensorsUI() {
+        const supported = BluetoothImuSource.isSupported();
+        const busy = this.isRecording || !!this.armState;
+        Object.keys(SensorRig.locations()).forEach(location => {
+            const connected = this.sensorRig.isConnected(location);
+            const sensor = this.sensorRig.sensors[location];
+            const status = document.getElementById(`extraSensorStatus-${location}`);
+            status.textContent = connected ? sensor.source.label : (sensor ? 'Disconnected' : 'Not connected');
+            status.style.color = connected ? '#48bb78' : (sensor ? '#f56565' : '');
+
+            const button = document.getElementById(`extraSensorBtn-${location}`);
+            button.textContent = connected ? 'Disconnect' : 'Connect';
+            button.disabled = !supported || busy;
+        });
+        document.getElementById('extraSensorProfile').disabled = !supported || busy;
+        document.getElementById('extraSensorHint').textContent = supported
+            ? 'Optional Bluetooth sensors, recorded in step with the torso.'
+            : 'Extra sensors need Web Bluetooth, which this browser doesn\'t have.';
     }
 
     updateSensorStatus() {
@@ -121,13 +501,19 @@ class CurlingSlideAnalyzer {
     }
 
     async startRecording() {
+        // Audio has to be unlocked while still handling the tap
+        this.audioFeedback.prepare();
+
         // Request permissions if needed
         const hasPermissions = await this.requestPermissions();
         if (!hasPermissions) return;
 
+        this.calibrationWizard.close();
+        this.hideRetag();
         this.isRecording = true;
         this.startTime = Date.now();
         this.clearData(false); // Clear data but don't update UI
+        this.videoSync.startCapture();
         
         // Track recording start
         if (window.analytics) {
@@ -140,12 +526,14 @@ class CurlingSlideAnalyzer {
         this.updateUI();
         this.startSensorListening();
         this.startRecordingTimer();
+        this.audioFeedback.start();
     }
 
     stopRecording() {
         this.isRecording = false;
         this.stopSensorListening();
         this.stopRecordingTimer();
+        this.audioFeedback.stop();
         
         // Track recording stop with data
         if (window.analytics) {
@@ -162,6 +550,164 @@ class CurlingSlideAnalyzer {
         this.processData();
         this.createCharts();
         this.showAnalysis();
+        this.videoSync.finishCapture();
+
+        // In a practice end the stream is watched for the next stone straight away
+        if (this.practiceMode) {
+            this.practiceThrows++;
+            if (!document.hidden) this.startArming(0);
+            this.updateUI();
+        } else {
+            releaseWakeLock();
+        }
+    }
+
+    // Hands-free start: a countdown to pocket the phone, then wait for stillness in the
+    // hack and start recording on the push-off, keeping the second before the trigger
+    async arm() {
+        this.audioFeedback.prepare();
+
+        const hasPermissions = await this.requestPermissions();
+        if (!hasPermissions) return false;
+
+        this.calibrationWizard.close();
+        this.hideRetag();
+        this.clearData(false);
+        requestWakeLock();
+        this.startArming(this.armCountdown);
+
+        if (window.analytics) {
+            window.analytics.trackEvent('recording_armed', {
+                countdown: this.armCountdown,
+                practice: this.practiceMode,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return true;
+    }
+
+    startArming(countdown) {
+        this.motionTrigger.reset();
+        this.armStart = Date.now();
+        this.armRemaining = countdown;
+        this.armState = countdown > 0 ? 'countdown' : 'settling';
+
+        if (countdown > 0) {
+            this.armTimer = setInterval(() => {
+                this.armRemaining--;
+                if (this.armRemaining <= 0) {
+                    clearInterval(this.armTimer);
+                    this.armTimer = null;
+                    this.armState = 'settling';
+                }
+                this.updateUI();
+            }, 1000);
+        }
+
+        // Pocketing the phone during the countdown is ignored
+        this.armHandler = (raw, now) => {
+            if (this.armState !== 'settling' && this.armState !== 'ready') return;
+
+            const time = (now - this.armStart) / 1000;
+            const change = this.motionTrigger.push(time, this.readSample(raw));
+            if (change === 'ready') {
+                this.armState = 'ready';
+                this.audioFeedback.cue();
+                this.updateUI();
+            } else if (change === 'triggered') {
+                this.triggerRecording();
+            }
+        };
+        this.sensorSource.addListener(this.armHandler);
+        this.sensorRig.listen();
+        this.updateUI();
+    }
+
+    // Practice end: armed once, then each stone is split out of the motion stream from its
+    // push-off to the athlete settling after the slide, saved, and the next one waited for
+    async startPractice() {
+        this.practiceMode = true;
+        this.practiceThrows = 0;
+        const armed = await this.arm();
+        if (!armed) {
+            this.practiceMode = false;
+            this.updateUI();
+        }
+    }
+
+    endPractice() {
+        this.practiceMode = false;
+        if (this.isRecording) {
+            // The stone in progress is still saved
+            this.practiceThrows++;
+            this.stopRecording();
+        } else {
+            this.disarm();
+        }
+        releaseWakeLock();
+        this.updateUI();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('practice_end_finished', {
+                throws: this.practiceThrows,
+                timestamp: new Date().toISOString()
+            });
+        }
+        console.log(`Practice end finished: ${this.practiceThrows} throws saved`);
+    }
+
+    // The page was hidden mid-end: motion events stopped, so pick up again with the next stone
+    resumePractice() {
+        if (!this.practiceMode || this.armState || this.isRecording) return;
+        requestWakeLock();
+        this.startArming(0);
+    }
+
+    disarm() {
+        this.stopArming();
+        this.sensorRig.stop();
+        releaseWakeLock();
+        this.updateUI();
+    }
+
+    stopArming() {
+        if (this.armTimer) {
+            clearInterval(this.armTimer);
+            this.armTimer = null;
+        }
+        if (this.armHandler) {
+            this.sensorSource.removeListener(this.armHandler);
+            this.armHandler = null;
+        }
+        this.armState = null;
+    }
+
+    // Push-off detected: the recording starts with the buffered pre-trigger samples
+    triggerRecording() {
+        const buffered = this.motionTrigger.preTrigger();
+        const firstTime = buffered.length > 0 ? buffered[0].time : (Date.now() - this.armStart) / 1000;
+        this.stopArming();
+        // The previous stone of a practice end stays on screen until the next push-off
+        this.clearData(false);
+
+        this.isRecording = true;
+        this.startTime = this.armStart + firstTime * 1000;
+        this.videoSync.startCapture();
+        this.startSensorListening();
+        buffered.forEach(entry => this.recordSample(entry.sample, entry.time - firstTime));
+
+        if (window.analytics) {
+            window.analytics.trackEvent('recording_start', {
+                trigger: 'push-off',
+                practiceThrow: this.practiceMode ? this.practiceThrows + 1 : null,
+                preTriggerSamples: buffered.length,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        this.updateUI();
+        this.startRecordingTimer();
+        this.audioFeedback.start();
     }
 
     startSensorListening() {
@@ -170,51 +716,93 @@ class CurlingSlideAnalyzer {
         this.autoStopThreshold = 0.3; // m/s² - settled motion threshold for acceleration changes
         this.autoStopDuration = 2.0; // seconds of calm motion to auto-stop (changed from 3.0)
         this.autoStopCheckInterval = 0.3; // check every 0.3 seconds (changed from 0.5)
+        // Practice ends are hands-free, so each stone ends once the athlete settles after the slide
+        this.autoStopAfter = this.practiceMode ? 3.0 : 10.0; // seconds before auto-stop is checked
+        if (this.practiceMode) this.autoStopDuration = 1.0;
         this.lastAutoStopCheck = 0;
         this.prevAcceleration = null; // Reset previous acceleration tracking
 
-        // Listen to device motion (accelerometer + gyroscope)
-        this.deviceMotionHandler = (event) => {
+        // Listen to the sensor source (accelerometer + gyroscope)
+        this.sensorHandler = (raw, now) => {
             if (!this.isRecording) return;
 
-            const timestamp = (Date.now() - this.startTime) / 1000;
-
-            // Accelerometer data - align with curling mechanics
-            // X = forward/backward (down the sheet)
-            // Y = side-to-side (lateral)
-            // Z = vertical (up/down)
-            if (event.accelerationIncludingGravity) {
-                this.sensorData.acceleration.x.push(event.accelerationIncludingGravity.x || 0);
-                this.sensorData.acceleration.y.push(event.accelerationIncludingGravity.y || 0);
-                this.sensorData.acceleration.z.push(event.accelerationIncludingGravity.z || 0);
-                this.sensorData.acceleration.timestamps.push(timestamp);
-
-                // Check for auto-stop (only after 10 seconds of recording to avoid stopping during push-off)
-                if (timestamp > 10.0 && timestamp - this.lastAutoStopCheck >= this.autoStopCheckInterval) {
-                    // Debug: log when auto-stop checking starts
-                    if (timestamp > 10.0 && timestamp < 10.5) {
-                        console.log('Auto-stop detection enabled at', timestamp.toFixed(1), 'seconds');
-                    }
-                    this.checkAutoStop(event.accelerationIncludingGravity, timestamp);
-                    this.lastAutoStopCheck = timestamp;
-                }
+            const timestamp = (now - this.startTime) / 1000;
+            if (this.practiceMode && timestamp > this.practiceMaxSeconds) {
+                console.log(`Practice throw cut off at ${this.practiceMaxSeconds}s`);
+                this.stopRecording();
+                return;
             }
+            const sample = this.readSample(raw);
+            this.recordSample(sample, timestamp);
+            this.updateLiveData(sample);
+        };
 
-            // Gyroscope data - body rotation rates (convert to degrees/second)
-            // Alpha = yaw (rotation around vertical)
-            // Beta = pitch (forward/backward tilt)  
-            // Gamma = roll (side-to-side tilt)
-            if (event.rotationRate) {
-                this.sensorData.gyroscope.x.push((event.rotationRate.beta || 0) * 180 / Math.PI); // Pitch
-                this.sensorData.gyroscope.y.push((event.rotationRate.gamma || 0) * 180 / Math.PI); // Roll
-                this.sensorData.gyroscope.z.push((event.rotationRate.alpha || 0) * 180 / Math.PI); // Yaw
-                this.sensorData.gyroscope.timestamps.push(timestamp);
-            }
+        this.sensorSource.addListener(this.sensorHandler);
+        this.sensorRig.start(this.startTime);
+    }
 
-            this.updateLiveData(event);
+    // One raw sample from the sensor source as a calibrated body-frame sample, shared by
+    // recording and the armed trigger. Acceleration and rotation are null when the source
+    // didn't provide them.
+    readSample(raw) {
+        // Remove sensor bias and mounting angle before anything is stored
+        const sample = this.calibration.apply({
+            acceleration: raw.acceleration || [0, 0, 0],
+            linear: raw.linear,
+            rotationRate: raw.rotationRate || [0, 0, 0]
+        });
+
+        // Gyroscope data - body rotation rates in degrees/second: pitch, roll, yaw
+        const scale = this.sensorSource.rateScale;
+        return {
+            acceleration: raw.acceleration ? sample.acceleration : null,
+            linear: sample.linear,
+            rotationRate: raw.rotationRate ? sample.rotationRate.map(r => r * scale) : null,
+            // Auto-stop compares the device's own readings from sample to sample
+            uncalibrated: raw.acceleration ? { x: raw.acceleration[0], y: raw.acceleration[1], z: raw.acceleration[2] } : null
         };
+    }
+
+    recordSample(sample, timestamp) {
+        // Accelerometer data in the body frame - applySensorFusion() later
+        // maps it to X = down the sheet, Y = lateral, Z = vertical
+        if (sample.acceleration) {
+            this.sensorData.acceleration.x.push(sample.acceleration[0]);
+            this.sensorData.acceleration.y.push(sample.acceleration[1]);
+            this.sensorData.acceleration.z.push(sample.acceleration[2]);
+            this.sensorData.acceleration.timestamps.push(timestamp);
+
+            // Gravity-free acceleration, where the device provides it
+            this.sensorData.linearAcceleration.x.push(sample.linear ? sample.linear[0] : null);
+            this.sensorData.linearAcceleration.y.push(sample.linear ? sample.linear[1] : null);
+            this.sensorData.linearAcceleration.z.push(sample.linear ? sample.linear[2] : null);
+
+            // Check for auto-stop (only after autoStopAfter seconds to avoid stopping during push-off)
+            if (timestamp > this.autoStopAfter && timestamp - this.lastAutoStopCheck >= this.autoStopCheckInterval) {
+                // Debug: log when auto-stop checking starts
+                if (timestamp < this.autoStopAfter + 0.5) {
+                    console.log('Auto-stop detection enabled at', timestamp.toFixed(1), 'seconds');
+                }
+                this.checkAutoStop(sample.uncalibrated, timestamp);
+                this.lastAutoStopCheck = timestamp;
+            }
+        }
 
-        window.addEventListener('devicemotion', this.deviceMotionHandler);
+        if (sample.rotationRate) {
+            this.sensorData.gyroscope.x.push(sample.rotationRate[0]); // Pitch
+            this.sensorData.gyroscope.y.push(sample.rotationRate[1]); // Roll
+            this.sensorData.gyroscope.z.push(sample.rotationRate[2]); // Yaw
+            this.sensorData.gyroscope.timestamps.push(timestamp);
+
+            // The wobble tone follows roll: the rate about the forward axis (x) once calibrated,
+            // gamma in the phone's raw beta/gamma/alpha order otherwise
+            const [pitchRate, rollRate] = this.calibration.isCalibrated()
+                ? [sample.rotationRate[1], sample.rotationRate[0]]
+                : [sample.rotationRate[0], sample.rotationRate[1]];
+            this.audioFeedback.update(pitchRate, rollRate, timestamp);
+        }
+
+        this.coachStream.addSample(sample, timestamp);
     }
 
     checkAutoStop(acceleration, timestamp) {
@@ -263,6 +851,9 @@ class CurlingSlideAnalyzer {
                 
                 // Show notification about auto-stop
                 this.showAutoStopNotification();
+
+                // The athlete is still down the ice, so read the result out
+                this.audioFeedback.speakSummary(this.lastAnalysis);
             }
         }
     }
@@ -295,9 +886,11 @@ class CurlingSlideAnalyzer {
     }
 
     stopSensorListening() {
-        if (this.deviceMotionHandler) {
-            window.removeEventListener('devicemotion', this.deviceMotionHandler);
+        if (this.sensorHandler) {
+            this.sensorSource.removeListener(this.sensorHandler);
+            this.sensorHandler = null;
         }
+        this.sensorRig.stop();
     }
 
     startRecordingTimer() {
@@ -316,31 +909,60 @@ class CurlingSlideAnalyzer {
         }
     }
 
-    updateLiveData(event) {
-        if (event.accelerationIncludingGravity) {
-            document.getElementById('accelX').textContent = (event.accelerationIncludingGravity.x || 0).toFixed(2);
-            document.getElementById('accelY').textContent = (event.accelerationIncludingGravity.y || 0).toFixed(2);
-            document.getElementById('accelZ').textContent = (event.accelerationIncludingGravity.z || 0).toFixed(2);
+    updateLiveData(sample) {
+        if (sample.uncalibrated) {
+            document.getElementById('accelX').textContent = (sample.uncalibrated.x || 0).toFixed(2);
+            document.getElementById('accelY').textContent = (sample.uncalibrated.y || 0).toFixed(2);
+            document.getElementById('accelZ').textContent = (sample.uncalibrated.z || 0).toFixed(2);
         }
 
-        if (event.rotationRate) {
-            document.getElementById('gyroX').textContent = ((event.rotationRate.beta || 0) * 180 / Math.PI).toFixed(1);
-            document.getElementById('gyroY').textContent = ((event.rotationRate.gamma || 0) * 180 / Math.PI).toFixed(1);
-            document.getElementById('gyroZ').textContent = ((event.rotationRate.alpha || 0) * 180 / Math.PI).toFixed(1);
+        if (sample.rotationRate) {
+            document.getElementById('gyroX').textContent = sample.rotationRate[0].toFixed(1);
+            document.getElementById('gyroY').textContent = sample.rotationRate[1].toFixed(1);
+            document.getElementById('gyroZ').textContent = sample.rotationRate[2].toFixed(1);
         }
     }
 
     updateUI() {
         const recordBtn = document.getElementById('recordBtn');
+        const armBtn = document.getElementById('armBtn');
         const statusDot = document.getElementById('statusDot');
         const statusText = document.getElementById('statusText');
         const liveDataSection = document.getElementById('liveDataSection');
 
-        if (this.isRecording) {
+        const practiceBtn = document.getElementById('practiceBtn');
+
+        recordBtn.disabled = !!this.armState || (this.practiceMode && !this.isRecording);
+        armBtn.disabled = this.isRecording || this.practiceMode;
+        practiceBtn.disabled = !this.practiceMode && (this.isRecording || !!this.armState);
+        practiceBtn.innerHTML = this.practiceMode
+            ? `<span class="btn-icon">🏁</span><span class="btn-text">End Practice (${this.practiceThrows} saved)</span>`
+            : '<span class="btn-icon">🥌</span><span class="btn-text">Practice End</span>';
+        armBtn.innerHTML = this.armState
+            ? '<span class="btn-icon">✖️</span><span class="btn-text">Disarm</span>'
+            : '<span class="btn-icon">🎯</span><span class="btn-text">Arm (Hands-free)</span>';
+        statusDot.classList.toggle('armed', !!this.armState);
+
+        if (this.armState) {
+            const armMessages = {
+                countdown: `Armed: pocket the phone (${this.armRemaining})`,
+                settling: 'Armed: get set in the hack and hold still',
+                ready: 'Ready: push off when set'
+            };
+            statusText.textContent = this.practiceMode
+                ? `Stone ${this.practiceThrows + 1}: ${armMessages[this.armState]}`
+                : armMessages[this.armState];
+            liveDataSection.style.display = 'none';
+        } else if (this.practiceMode && !this.isRecording) {
+            statusText.textContent = 'Practice end paused: keep this page open to carry on';
+            liveDataSection.style.display = 'none';
+        } else if (this.isRecording) {
             recordBtn.innerHTML = '<span class="btn-icon">⏹️</span><span class="btn-text">Stop Recording</span>';
             recordBtn.classList.add('recording');
             statusDot.classList.add('recording');
-            statusText.textContent = 'Recording...';
+            statusText.textContent = this.practiceMode
+                ? `Recording stone ${this.practiceThrows + 1}...`
+                : 'Recording...';
             liveDataSection.style.display = 'block';
         } else {
             recordBtn.innerHTML = '<span class="btn-icon">⏺️</span><span class="btn-text">Start Recording</span>';
@@ -357,6 +979,10 @@ class CurlingSlideAnalyzer {
                 liveDataSection.style.display = 'none';
             }
         }
+
+        this.updateSensorSourceUI();
+        this.updateExtraSensorsUI();
+        this.remote.publishStatus();
     }
 
     hasData() {
@@ -374,9 +1000,15 @@ class CurlingSlideAnalyzer {
 
         this.sensorData = {
             acceleration: { x: [], y: [], z: [], timestamps: [] },
+            linearAcceleration: { x: [], y: [], z: [] },
             gyroscope: { x: [], y: [], z: [], timestamps: [] },
-            velocity: { x: [], timestamps: [] }
+            velocity: { x: [], timestamps: [] },
+            sensors: {}
         };
+        this.segmentation = null;
+        this.trimStart = 0;
+        this.replay.reset();
+        this.videoSync.clearVideo();
 
         // Hide charts section
         document.getElementById('chartsSection').style.display = 'none';
@@ -399,18 +1031,41 @@ class CurlingSlideAnalyzer {
             return;
         }
 
+        // Remove gravity and rotate into the sheet frame before anything else
+        this.applySensorFusion();
+
         // Trim the data to actual throw motion
         this.trimToActualThrow();
 
+        // Foot and broom streams go through their own fusion, then the torso's trim
+        this.processExtraSensors();
+
         // Calculate velocity by integrating forward acceleration
         this.calculateVelocity();
 
+        // Pin velocity to zero at rest in the hack and after the slide
+        this.applyZeroVelocityUpdate();
+
+        // Split the delivery into its phases for the charts and metrics
+        this.segmentation = this.segmenter.segment(this.sensorData);
+        console.log('Delivery phases:', this.segmentation.phases);
+
         console.log('Processing delivery data...');
         console.log('Acceleration points:', this.sensorData.acceleration.x.length);
         console.log('Gyroscope points:', this.sensorData.gyroscope.x.length);
         console.log('Velocity points:', this.sensorData.velocity.x.length);
     }
 
+    applySensorFusion() {
+        const fused = this.sensorFusion.process(this.sensorData);
+
+        this.sensorData.acceleration = fused.acceleration;
+        this.sensorData.gyroscope = fused.gyroscope;
+        this.fusionInfo = fused.info;
+
+        console.log('Sensor fusion:', fused.info);
+    }
+
     trimToActualThrow() {
         const accel = this.sensorData.acceleration;
         const gyro = this.sensorData.gyroscope;
@@ -419,6 +1074,7 @@ class CurlingSlideAnalyzer {
 
         // Find start: first significant acceleration spike (push-off)
         const accelThreshold = 2.0; // m/s² - significant movement
+        const leadIn = 1.0; // seconds kept before the spike so the hack setup and backswing stay visible
         let startIndex = 0;
         
         for (let i = 0; i < accel.x.length; i++) {
@@ -428,27 +1084,32 @@ class CurlingSlideAnalyzer {
                 Math.pow(accel.z[i], 2)
             );
             if (totalAccel > accelThreshold) {
-                startIndex = Math.max(0, i - 5); // Include 5 points before movement
+                startIndex = i;
+                while (startIndex > 0 && accel.timestamps[i] - accel.timestamps[startIndex - 1] <= leadIn) {
+                    startIndex--;
+                }
                 break;
             }
         }
 
-        // Find end: when motion settles down after delivery
+        // Find end: the body is still again and the speed gained at push-off
+        // has been given back (a smooth glide is quiet too, so stillness alone isn't enough)
+        const stationary = this.detectStationarySamples();
         let endIndex = accel.x.length - 1;
         const settlePeriod = 20; // Look for 20 consecutive calm points
         let calmCount = 0;
+        let speed = 0;
+        let peakSpeed = 0;
         
-        for (let i = startIndex + 30; i < accel.x.length; i++) { // Start looking after initial movement
-            const totalAccel = Math.sqrt(
-                Math.pow(accel.x[i], 2) + 
-                Math.pow(accel.y[i], 2) + 
-                Math.pow(accel.z[i], 2)
-            );
+        for (let i = startIndex + 1; i < accel.x.length; i++) {
+            speed += accel.x[i] * (accel.timestamps[i] - accel.timestamps[i - 1]);
+            peakSpeed = Math.max(peakSpeed, speed);
+            const slowedDown = speed < peakSpeed * 0.25;
             
-            if (totalAccel < 1.5) { // Settled motion
+            if (i >= startIndex + 30 && stationary[i] && slowedDown) { // Settled motion
                 calmCount++;
                 if (calmCount >= settlePeriod) {
-                    endIndex = i - settlePeriod + 10; // Include a few points after settling
+                    endIndex = i; // Keep the settled points as a rest reference for drift correction
                     break;
                 }
             } else {
@@ -466,6 +1127,7 @@ class CurlingSlideAnalyzer {
 
         // Adjust timestamps to start from 0
         const startTime = this.sensorData.acceleration.timestamps[0];
+        this.trimStart = startTime;
         this.sensorData.acceleration.timestamps = this.sensorData.acceleration.timestamps.map(t => t - startTime);
 
         // Trim gyroscope data (matching indices)
@@ -477,6 +1139,21 @@ class CurlingSlideAnalyzer {
         }
     }
 
+    processExtraSensors() {
+        const accel = this.sensorData.acceleration;
+        const duration = accel.timestamps.length > 0 ? accel.timestamps[accel.timestamps.length - 1] : 0;
+        const streams = this.sensorRig.collect();
+
+        this.sensorData.sensors = {};
+        Object.entries(streams).forEach(([location, stream]) => {
+            const fused = this.sensorFusion.process(stream);
+            const trimmed = CrossSensorMetrics.trim({ ...fused, label: stream.label }, this.trimStart, duration);
+            if (trimmed.acceleration.x.length === 0) return;
+            this.sensorData.sensors[location] = trimmed;
+            console.log(`${SensorRig.labelFor(location)} sensor:`, trimmed.acceleration.x.length, 'points');
+        });
+    }
+
     calculateVelocity() {
         const accel = this.sensorData.acceleration;
         const velocity = { x: [0], timestamps: [accel.timestamps[0] || 0] };
@@ -487,7 +1164,7 @@ class CurlingSlideAnalyzer {
             const prevVel = velocity.x[velocity.x.length - 1];
             const avgAccel = (accel.x[i] + accel.x[i-1]) / 2;
             
-            // Remove gravity component and integrate
+            // Gravity was removed during sensor fusion
             const newVel = prevVel + (avgAccel * dt);
             velocity.x.push(newVel);
             velocity.timestamps.push(accel.timestamps[i]);
@@ -496,6 +1173,99 @@ class CurlingSlideAnalyzer {
         this.sensorData.velocity = velocity;
     }
 
+    detectStationarySamples() {
+        const accel = this.sensorData.acceleration;
+        const gyro = this.sensorData.gyroscope;
+        const accelLimit = 0.4; // m/s² - gravity-free acceleration of a body at rest
+        const gyroLimit = 15; // °/s - body rotation at rest
+        const windowTime = 0.3; // seconds - single quiet samples don't count
+
+        const n = accel.x.length;
+        const sampleInterval = n > 1 ? (accel.timestamps[n - 1] - accel.timestamps[0]) / (n - 1) : 0;
+        const halfWindow = sampleInterval > 0 ? Math.max(1, Math.round(windowTime / sampleInterval / 2)) : 1;
+
+        const quiet = accel.x.map((_, i) => {
+            const accelMag = Math.sqrt(
+                Math.pow(accel.x[i], 2) +
+                Math.pow(accel.y[i], 2) +
+                Math.pow(accel.z[i], 2)
+            );
+            const gyroMag = Math.sqrt(
+                Math.pow(gyro.x[i] || 0, 2) +
+                Math.pow(gyro.y[i] || 0, 2) +
+                Math.pow(gyro.z[i] || 0, 2)
+            );
+            return accelMag < accelLimit && gyroMag < gyroLimit;
+        });
+
+        return quiet.map((_, i) => {
+            const start = Math.max(0, i - halfWindow);
+            const end = Math.min(quiet.length, i + halfWindow + 1);
+            return quiet.slice(start, end).every(Boolean);
+        });
+    }
+
+    applyZeroVelocityUpdate() {
+        const velocity = this.sensorData.velocity;
+        const n = velocity.x.length;
+        this.driftReport = { driftCorrection: 0, dataQuality: 'Unchecked' };
+        if (n < 2) return;
+
+        // Only the rest in the hack and the rest after the slide count - a smooth
+        // glide is also quiet, so stillness mid-delivery is not trusted
+        const stationary = this.detectStationarySamples();
+        const anchors = [0];
+        for (let i = 1; i < n && stationary[i]; i++) anchors.push(i);
+
+        let endRestStart = n;
+        while (endRestStart > anchors[anchors.length - 1] + 1 && stationary[endRestStart - 1]) endRestStart--;
+
+        // A recording stopped mid-glide can end quietly while still moving fast
+        const rawPeak = Math.max(...velocity.x.map(Math.abs));
+        const hasEndRest = endRestStart < n && Math.abs(velocity.x[endRestStart]) < rawPeak * 0.5;
+        if (hasEndRest) {
+            for (let i = endRestStart; i < n; i++) anchors.push(i);
+        }
+
+        // Velocity at each anchor is pure drift; interpolate it linearly in between
+        const times = velocity.timestamps;
+        let maxCorrection = 0;
+        let anchor = 0;
+
+        for (let i = 0; i < n; i++) {
+            while (anchor < anchors.length - 1 && anchors[anchor + 1] <= i) anchor++;
+            const a = anchors[anchor];
+            const b = anchors[anchor + 1];
+
+            let drift = velocity.x[a];
+            if (b !== undefined && times[b] > times[a]) {
+                const fraction = (times[i] - times[a]) / (times[b] - times[a]);
+                drift = velocity.x[a] + (velocity.x[b] - velocity.x[a]) * fraction;
+            }
+
+            maxCorrection = Math.max(maxCorrection, Math.abs(drift));
+            velocity.x[i] -= drift;
+        }
+
+        // Correction as a share of the raw peak speed tells how far to trust the profile
+        const ratio = maxCorrection / Math.max(rawPeak, 0.1);
+        let dataQuality = 'Poor';
+        if (!hasEndRest) dataQuality = 'Unchecked (no rest at end)';
+        else if (ratio < 0.15) dataQuality = 'Good';
+        else if (ratio < 0.4) dataQuality = 'Fair';
+
+        this.driftReport = {
+            driftCorrection: maxCorrection,
+            dataQuality
+        };
+
+        console.log('Zero-velocity update:', {
+            anchors: anchors.length,
+            endRestStart,
+            ...this.driftReport
+        });
+    }
+
     createCharts() {
         if (!this.hasData()) return;
 
@@ -504,6 +1274,8 @@ class CurlingSlideAnalyzer {
         this.createAccelerationChart();
         this.createGyroscopeChart();
         this.createVelocityChart();
+
+        this.replay.load(this.sensorData, this.getPhases());
     }
 
     createAccelerationChart() {
@@ -537,9 +1309,11 @@ class CurlingSlideAnalyzer {
                         borderWidth: 3,
                         pointRadius: 1,
                         yAxisID: 'y1'
-                    }
+                    },
+                    ...this.extraSensorDatasets()
                 ]
             },
+            plugins: [DeliverySegmenter.chartPlugin(), this.replay.cursorPlugin()],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -581,12 +1355,32 @@ class CurlingSlideAnalyzer {
                     legend: {
                         display: true,
                         position: 'top'
+                    },
+                    phaseBands: {
+                        phases: this.getPhases()
                     }
                 }
             }
         });
     }
 
+    // Forward acceleration of the foot and broom, resampled onto the torso's time axis
+    extraSensorDatasets() {
+        const colors = { foot: '#38a169', broom: '#805ad5' };
+        const times = this.sensorData.acceleration.timestamps;
+        return Object.entries(this.sensorData.sensors || {}).map(([location, stream]) => ({
+            label: `${SensorRig.labelFor(location)} forward`,
+            data: CrossSensorMetrics.resample(stream.acceleration.timestamps, stream.acceleration.x, times),
+            borderColor: colors[location] || '#a0aec0',
+            backgroundColor: 'transparent',
+            borderDash: [6, 3],
+            tension: 0.1,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID: 'y'
+        }));
+    }
+
     createGyroscopeChart() {
         const ctx = document.getElementById('gyroscopeChart').getContext('2d');
         
@@ -628,6 +1422,7 @@ class CurlingSlideAnalyzer {
                     }
                 ]
             },
+            plugins: [DeliverySegmenter.chartPlugin(), this.replay.cursorPlugin()],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -655,6 +1450,9 @@ class CurlingSlideAnalyzer {
                     legend: {
                         display: true,
                         position: 'top'
+                    },
+                    phaseBands: {
+                        phases: this.getPhases()
                     }
                 }
             }
@@ -699,6 +1497,7 @@ class CurlingSlideAnalyzer {
                     }
                 ]
             },
+            plugins: [DeliverySegmenter.chartPlugin(), this.replay.cursorPlugin()],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -740,36 +1539,47 @@ class CurlingSlideAnalyzer {
                     legend: {
                         display: true,
                         position: 'top'
+                    },
+                    phaseBands: {
+                        phases: this.getPhases()
                     }
                 }
             }
         });
     }
 
-    calculateStabilityIndex() {
-        const gyro = this.sensorData.gyroscope;
-        const windowSize = 5; // 5-point moving window for RMS
-        const stabilityIndex = [];
+    getPhases() {
+        return this.segmentation ? this.segmentation.phases : [];
+    }
 
-        for (let i = 0; i < gyro.x.length; i++) {
-            const start = Math.max(0, i - Math.floor(windowSize / 2));
-            const end = Math.min(gyro.x.length, i + Math.floor(windowSize / 2) + 1);
-            
-            let rmsSum = 0;
-            let count = 0;
-            
-            for (let j = start; j < end; j++) {
-                const pitchSq = Math.pow(gyro.x[j] || 0, 2);
-                const rollSq = Math.pow(gyro.y[j] || 0, 2);
-                rmsSum += pitchSq + rollSq; // Don't include yaw in stability calc
-                count++;
-            }
-            
-            const rms = Math.sqrt(rmsSum / count);
-            stabilityIndex.push(rms);
-        }
-        
-        return stabilityIndex;
+    // Indices covered by the named phases, or the fallback range if none were found
+    getPhaseRange(names, fallbackStart, fallbackEnd) {
+        const phases = this.getPhases().filter(p => names.includes(p.name));
+        if (phases.length === 0) return { start: fallbackStart, end: fallbackEnd };
+        return {
+            start: Math.min(...phases.map(p => p.start)),
+            end: Math.max(...phases.map(p => p.end))
+        };
+    }
+
+    getPhaseDuration(name) {
+        const phase = this.getPhases().find(p => p.name === name);
+        return phase ? phase.endTime - phase.startTime : 0;
+    }
+
+    // Body speed at the detected release point; the stone leaves the hand at this speed
+    getReleaseVelocity() {
+        const velocity = this.sensorData.velocity;
+        const events = this.segmentation && this.segmentation.events;
+        if (!events || events.release === undefined || velocity.x.length === 0) return null;
+
+        let index = velocity.timestamps.findIndex(t => t >= events.release);
+        if (index === -1) index = velocity.x.length - 1;
+        return Math.max(0, velocity.x[index]);
+    }
+
+    calculateStabilityIndex() {
+        return DeliverySegmenter.stabilityIndex(this.sensorData.gyroscope);
     }
 
     showAnalysis() {
@@ -779,6 +1589,7 @@ class CurlingSlideAnalyzer {
         
         // Calculate analysis metrics
         const analysis = this.calculateAnalysisMetrics();
+        this.lastAnalysis = analysis;
         
         // Save throw to session
         this.saveThrowToSession(analysis);
@@ -802,6 +1613,27 @@ class CurlingSlideAnalyzer {
         document.getElementById('decelRate').textContent = analysis.decelRate.toFixed(3);
         document.getElementById('stabilityScore').textContent = analysis.stabilityScore.toFixed(0);
         document.getElementById('glideEfficiency').textContent = analysis.glideEfficiency;
+        document.getElementById('driftCorrection').textContent = analysis.driftCorrection.toFixed(2);
+        document.getElementById('dataQuality').textContent = analysis.dataQuality;
+        document.getElementById('legDriveDuration').textContent = analysis.legDriveDuration.toFixed(2);
+        document.getElementById('glideDuration').textContent = analysis.glideDuration.toFixed(2);
+        document.getElementById('releaseVelocity').textContent =
+            analysis.releaseVelocity !== null ? analysis.releaseVelocity.toFixed(2) : '-';
+        document.getElementById('predictedWeight').textContent = analysis.predictedWeight !== null
+            ? `${analysis.predictedWeight} (${IceSpeedModel.formatBand(analysis.predictedSplitBand)} hog-to-hog` +
+                `${analysis.splitCalibrated ? ', from your splits' : ''})`
+            : '-';
+        document.getElementById('referenceScore').textContent = analysis.referenceSimilarity !== null
+            ? ReferenceDelivery.describeScore(analysis.referenceSimilarity, analysis.referenceWorstPhase, analysis.referenceWorstSimilarity)
+            : (this.getThrowType().category ? 'No reference set for this weight' : 'Pick a weight to compare');
+
+        const sensors = this.sensorData.sensors || {};
+        document.getElementById('footTorsoLag').textContent = sensors.foot
+            ? (CrossSensorMetrics.describeLag(analysis.footTorsoLag) || 'Foot and torso traces didn\'t match up')
+            : 'No foot sensor';
+        document.getElementById('broomSupport').textContent = sensors.broom
+            ? (analysis.broomSupport !== null ? `${analysis.broomSupport.toFixed(0)}% of the slide` : '-')
+            : 'No broom sensor';
 
         analysisResults.style.display = 'block';
     }
@@ -811,9 +1643,11 @@ class CurlingSlideAnalyzer {
         const velocity = this.sensorData.velocity;
         const gyro = this.sensorData.gyroscope;
 
-        // Push-off strength: peak forward acceleration in first 20% of delivery
-        const pushoffPeriod = Math.floor(accel.x.length * 0.2);
-        const pushoffData = accel.x.slice(0, pushoffPeriod);
+        // Push-off strength: peak forward acceleration during the leg drive
+        // (first 20% of the delivery if no drive was detected)
+        const fallbackPushoff = Math.floor(accel.x.length * 0.2);
+        const drive = this.getPhaseRange(['legDrive'], 0, fallbackPushoff - 1);
+        const pushoffData = accel.x.slice(drive.start, drive.end + 1);
         const pushoffStrength = Math.max(...pushoffData.map(Math.abs));
 
         // Peak velocity
@@ -823,15 +1657,16 @@ class CurlingSlideAnalyzer {
         const slideDuration = accel.timestamps.length > 0 ? 
             accel.timestamps[accel.timestamps.length - 1] - accel.timestamps[0] : 0;
 
-        // Deceleration rate: average negative acceleration during slide
-        const slideData = accel.x.slice(pushoffPeriod);
+        // Deceleration rate: average negative acceleration from the glide to the stop
+        const slide = this.getPhaseRange(['glide', 'release', 'settle'], fallbackPushoff, accel.x.length - 1);
+        const slideData = accel.x.slice(slide.start, slide.end + 1);
         const negativeAccel = slideData.filter(a => a < 0);
         const decelRate = negativeAccel.length > 0 ? 
             negativeAccel.reduce((a, b) => a + b, 0) / negativeAccel.length : 0;
 
-        // Stability score: inverse of RMS pitch/roll variance
-        const pitchRoll = gyro.x.map((pitch, i) => 
-            Math.sqrt(Math.pow(pitch, 2) + Math.pow(gyro.y[i] || 0, 2))
+        // Stability score: inverse of RMS pitch/roll variance while sliding
+        const pitchRoll = gyro.x.slice(slide.start, slide.end + 1).map((pitch, i) => 
+            Math.sqrt(Math.pow(pitch, 2) + Math.pow(gyro.y[slide.start + i] || 0, 2))
         );
         const stabilityVariance = this.calculateVariance(pitchRoll);
         
@@ -852,16 +1687,71 @@ class CurlingSlideAnalyzer {
         else if (avgDecel < 0.5) glideEfficiency = 'Excellent';
         else if (avgDecel < 1.0) glideEfficiency = 'Very Good';
 
+        const driftReport = this.driftReport || { driftCorrection: 0, dataQuality: 'Unchecked' };
+
+        // Predicted stone weight from release speed: the athlete's own split fit once
+        // there are enough timed throws, otherwise the ice model alone
+        const releaseVelocity = this.getReleaseVelocity();
+        let prediction = null;
+        if (releaseVelocity !== null) {
+            prediction = this.splitCalibration
+                ? this.splitCalibration.predict(releaseVelocity, this.iceModel)
+                : this.iceModel.predict(releaseVelocity);
+        }
+
+        const referenceScore = this.scoreAgainstReference();
+        const crossSensor = this.calculateCrossSensorMetrics(slide);
+
         return {
             pushoffStrength,
             peakVelocity,
             slideDuration,
             decelRate: Math.abs(decelRate),
             stabilityScore,
-            glideEfficiency
+            glideEfficiency,
+            driftCorrection: driftReport.driftCorrection,
+            dataQuality: driftReport.dataQuality,
+            legDriveDuration: this.getPhaseDuration('legDrive'),
+            glideDuration: this.getPhaseDuration('glide'),
+            releaseVelocity,
+            predictedSplit: prediction ? prediction.hogToHogTime : null,
+            predictedSplitBand: prediction ? prediction.splitBand : null,
+            predictedWeight: prediction ? prediction.zoneLabel : null,
+            splitCalibrated: prediction ? prediction.calibrated : false,
+            iceDrawTime: this.iceModel.config.drawTime,
+            referenceSimilarity: referenceScore ? referenceScore.similarity : null,
+            referenceWorstPhase: referenceScore && referenceScore.worstPhase ? referenceScore.worstPhase.name : null,
+            referenceWorstSimilarity: referenceScore && referenceScore.worstPhase ? referenceScore.worstPhase.similarity : null,
+            ...crossSensor
+        };
+    }
+
+    // Metrics that need the foot or broom sensor; null when that sensor wasn't worn
+    calculateCrossSensorMetrics(slide) {
+        const sensors = this.sensorData.sensors || {};
+        const times = this.sensorData.acceleration.timestamps;
+        const events = this.segmentation ? this.segmentation.events : null;
+
+        const lag = sensors.foot ? CrossSensorMetrics.footTorsoLag(this.sensorData, sensors.foot, events) : null;
+        const broomSupport = sensors.broom && times.length > 0
+            ? CrossSensorMetrics.broomSupport(sensors.broom, times[slide.start], times[slide.end])
+            : null;
+
+        return {
+            sensorLocations: ['torso', ...Object.keys(sensors)],
+            footTorsoLag: lag ? lag.lag : null,
+            broomSupport
         };
     }
 
+    // Shape match of the acceleration and stability traces against the reference delivery
+    scoreAgainstReference() {
+        if (!this.reference || !this.segmentation) return null;
+
+        const trace = ReferenceDelivery.traceFrom(this.sensorData, this.segmentation.events, this.segmentation.phases);
+        return trace ? this.reference.score(trace) : null;
+    }
+
     calculateVariance(data) {
         if (data.length === 0) return 0;
         
@@ -870,72 +1760,103 @@ class CurlingSlideAnalyzer {
         return variance;
     }
 
-    saveThrowToSession(analysis) {
+    async saveThrowToSession(analysis) {
         try {
             // Create throw data object
             const throwData = {
                 id: Date.now(),
                 timestamp: new Date().toISOString(),
-                ...analysis
+                ...analysis,
+                ...this.getThrowType(),
+                athleteId: this.athleteId,
+                rawData: this.buildRawTrace()
             };
 
             // Get or create current session
-            let currentSession = null;
-            try {
-                const sessionData = localStorage.getItem('curling_current_session');
-                currentSession = sessionData ? JSON.parse(sessionData) : null;
-            } catch (e) {
-                currentSession = null;
-            }
-
-            // Create new session if none exists
-            if (!currentSession) {
-                currentSession = {
-                    id: 'session_' + Date.now(),
-                    startTime: new Date().toISOString(),
-                    name: `Session ${new Date().toLocaleDateString()}`
-                };
-                localStorage.setItem('curling_current_session', JSON.stringify(currentSession));
-            }
+            const currentSession = await window.throwStore.getOrCreateCurrentSession();
 
             // Add session ID to throw data
             throwData.sessionId = currentSession.id;
 
-            // Get existing throws array
-            let throws = [];
-            try {
-                const throwsData = localStorage.getItem('curling_session_throws');
-                throws = throwsData ? JSON.parse(throwsData) : [];
-            } catch (e) {
-                throws = [];
+            // Keep the phase timeline so saved throws can be redrawn with their bands
+            if (this.segmentation) {
+                throwData.phases = this.segmentation.phases.map(({ name, startTime, endTime }) => ({ name, startTime, endTime }));
+                throwData.events = this.segmentation.events;
             }
 
-            // Add new throw to array
-            throws.push(throwData);
-
-            // Save updated throws array
-            localStorage.setItem('curling_session_throws', JSON.stringify(throws));
-            
-            // Also save as latest throw for immediate pickup
-            localStorage.setItem('curling_latest_throw', JSON.stringify(throwData));
-
-            // Trigger storage event for comparison page if it's open
-            window.dispatchEvent(new StorageEvent('storage', {
-                key: 'curling_session_throws',
-                newValue: JSON.stringify(throws)
-            }));
+            // Saving notifies the comparison page if it's open
+            await window.throwStore.saveThrow(throwData);
+            const throwCount = await window.throwStore.countThrowsBySession(currentSession.id);
+
+            // Until the next recording starts, the picker can still retag this throw
+            this.lastThrowId = throwData.id;
+            document.getElementById('throwTypeHint').textContent =
+                `Saved as ${ThrowTypes.describe(throwData)} by ${AthleteRoster.nameFor(throwData.athleteId, this.athletes)}. ` +
+                'Change the pickers and apply to retag it.';
+            document.getElementById('retagLastBtn').style.display = 'inline-flex';
+            document.getElementById('measuredSplit').value = '';
+            document.getElementById('splitEntry').style.display = 'flex';
+            this.remote.publishStatus();
+            this.coachStream.sendThrow(throwData);
 
             console.log('Throw saved to session:', throwData);
-            console.log('Total throws in session:', throws.length);
+            console.log('Total throws in session:', throwCount);
             
             // Add visual feedback that save worked
-            this.showSaveConfirmation(throws.length);
+            this.showSaveConfirmation(throwCount);
         } catch (error) {
             console.error('Error saving throw to session:', error);
             alert('Error saving throw data: ' + error.message);
         }
     }
 
+    buildRawTrace(maxPoints = 2000) {
+        // Cap the stored trace length so long recordings stay quick to chart
+        const accel = this.sensorData.acceleration;
+        const gyro = this.sensorData.gyroscope;
+        const velocity = this.sensorData.velocity;
+
+        const downsample = (values, digits) => {
+            const step = Math.max(1, Math.ceil(values.length / maxPoints));
+            return values
+                .filter((_, i) => i % step === 0)
+                .map(v => Number((v || 0).toFixed(digits)));
+        };
+
+        return {
+            acceleration: {
+                x: downsample(accel.x, 3),
+                y: downsample(accel.y, 3),
+                z: downsample(accel.z, 3),
+                timestamps: downsample(accel.timestamps, 3)
+            },
+            gyroscope: {
+                x: downsample(gyro.x, 2),
+                y: downsample(gyro.y, 2),
+                z: downsample(gyro.z, 2),
+                timestamps: downsample(gyro.timestamps, 3)
+            },
+            velocity: {
+                x: downsample(velocity.x, 3),
+                timestamps: downsample(velocity.timestamps, 3)
+            },
+            sensors: Object.fromEntries(Object.entries(this.sensorData.sensors || {}).map(([location, stream]) => [location, {
+                acceleration: {
+                    x: downsample(stream.acceleration.x, 3),
+                    y: downsample(stream.acceleration.y, 3),
+                    z: downsample(stream.acceleration.z, 3),
+                    timestamps: downsample(stream.acceleration.timestamps, 3)
+                },
+                gyroscope: {
+                    x: downsample(stream.gyroscope.x, 2),
+                    y: downsample(stream.gyroscope.y, 2),
+                    z: downsample(stream.gyroscope.z, 2),
+                    timestamps: downsample(stream.gyroscope.timestamps, 3)
+                }
+            }]))
+        };
+    }
+
     showSaveConfirmation(throwCount) {
         // Create temporary notification
         const notification = document.createElement('div');
@@ -985,6 +1906,13 @@ document.addEventListener('visibilitychange', () => {
         // Auto-stop recording if user leaves the page
         window.curlingAnalyzer.stopRecording();
     }
+    if (document.hidden && window.curlingAnalyzer && window.curlingAnalyzer.armState) {
+        // Motion events stop while hidden, so the trigger can't be trusted
+        window.curlingAnalyzer.disarm();
+    }
+    if (!document.hidden && window.curlingAnalyzer) {
+        window.curlingAnalyzer.resumePractice();
+    }
 });
 
 // Prevent phone from sleeping during recording
@@ -0,0 +1,213 @@
+// Detects delivery phases (hack setup, backswing, leg drive, glide, release, settle)
+// from sheet-frame acceleration, velocity and gyroscope traces
+class DeliverySegmenter {
+    constructor(options = {}) {
+        this.onsetAccel = options.onsetAccel || 0.8; // m/s² - first real movement out of the hack
+        this.onsetGyro = options.onsetGyro || 30; // °/s - or first real body rotation
+        this.driveFraction = options.driveFraction || 0.2; // share of peak push that marks the drive boundary
+        this.releaseHalfWidth = options.releaseHalfWidth || 0.2; // seconds either side of the release point
+        this.releaseWindow = options.releaseWindow || 0.5; // seconds compared before/after a candidate release
+    }
+
+    static phaseDefinitions() {
+        return [
+            { name: 'setup', label: 'Setup', color: 'rgba(160, 174, 192, 0.15)' },
+            { name: 'backswing', label: 'Backswing', color: 'rgba(159, 122, 234, 0.15)' },
+            { name: 'legDrive', label: 'Leg Drive', color: 'rgba(245, 101, 101, 0.15)' },
+            { name: 'glide', label: 'Glide', color: 'rgba(66, 153, 225, 0.15)' },
+            { name: 'release', label: 'Release', color: 'rgba(237, 137, 54, 0.25)' },
+            { name: 'settle', label: 'Settle', color: 'rgba(72, 187, 120, 0.15)' }
+        ];
+    }
+
+    segment(sensorData) {
+        const accel = sensorData.acceleration;
+        const gyro = sensorData.gyroscope;
+        const velocity = sensorData.velocity;
+        const times = accel.timestamps;
+        const n = accel.x.length;
+        if (n < 10) return { phases: [], events: {} };
+
+        const forward = this.smooth(accel.x, 5);
+        const motion = this.smooth(accel.x.map((x, i) => Math.hypot(x, accel.y[i], accel.z[i])), 5);
+        const rotation = this.smooth(gyro.x.map((x, i) => Math.hypot(x || 0, gyro.y[i] || 0, gyro.z[i] || 0)), 5);
+
+        // Leg drive: the strongest forward push, widened until it fades
+        const searchEnd = Math.max(1, Math.floor(n * 0.6));
+        let peakPush = 0;
+        for (let i = 1; i < searchEnd; i++) {
+            if (forward[i] > forward[peakPush]) peakPush = i;
+        }
+        const pushLimit = forward[peakPush] * this.driveFraction;
+        let driveStart = peakPush;
+        while (driveStart > 0 && forward[driveStart - 1] > pushLimit) driveStart--;
+
+        // Glide starts when the body stops gaining speed
+        let glideStart = peakPush;
+        while (glideStart < n - 1 && forward[glideStart] > 0) glideStart++;
+
+        // First movement out of the hack, before the drive
+        let motionOnset = driveStart;
+        for (let i = 0; i < driveStart; i++) {
+            if (motion[i] > this.onsetAccel || rotation[i] > this.onsetGyro) {
+                motionOnset = i;
+                break;
+            }
+        }
+
+        const release = this.findRelease(accel, gyro, forward, times, glideStart);
+        const releaseStart = this.indexAtTime(times, times[release] - this.releaseHalfWidth, glideStart);
+        const releaseEnd = this.indexAtTime(times, times[release] + this.releaseHalfWidth, releaseStart);
+
+        const boundaries = [
+            ['setup', 0, motionOnset - 1],
+            ['backswing', motionOnset, driveStart - 1],
+            ['legDrive', driveStart, glideStart - 1],
+            ['glide', glideStart, releaseStart - 1],
+            ['release', releaseStart, releaseEnd],
+            ['settle', releaseEnd + 1, n - 1]
+        ];
+
+        const phases = boundaries
+            .filter(([, start, end]) => end >= start)
+            .map(([name, start, end]) => ({
+                name,
+                start,
+                end,
+                startTime: times[start],
+                endTime: times[end]
+            }));
+
+        let peakVelocity = 0;
+        (velocity.x || []).forEach((v, i) => {
+            if (v > velocity.x[peakVelocity]) peakVelocity = i;
+        });
+
+        return {
+            phases,
+            events: {
+                motionOnset: times[motionOnset],
+                pushoffOnset: times[driveStart],
+                peakPush: times[peakPush],
+                glideStart: times[glideStart],
+                peakVelocity: times[peakVelocity],
+                release: times[release]
+            }
+        };
+    }
+
+    // Release shows up as an arm-extension jolt off the torso's lateral/vertical axes
+    // and a change in how quickly the body is slowing down
+    findRelease(accel, gyro, forward, times, glideStart) {
+        const n = accel.x.length;
+        const first = this.indexAtTime(times, times[glideStart] + this.releaseWindow, glideStart);
+        const last = this.indexAtTime(times, times[n - 1] - this.releaseWindow, first) - 1;
+        if (last <= first) return Math.min(n - 1, glideStart + Math.floor((n - glideStart) * 0.5));
+
+        const jolt = this.smooth(accel.y.map((y, i) => {
+            if (i === 0) return 0;
+            const lateral = Math.abs(y - accel.y[i - 1]);
+            const vertical = Math.abs(accel.z[i] - accel.z[i - 1]);
+            const turn = Math.abs((gyro.x[i] || 0) - (gyro.x[i - 1] || 0)) / 30;
+            return lateral + vertical + turn;
+        }), 5);
+        const joltScale = Math.max(...jolt.slice(first, last + 1)) || 1;
+
+        // Running sums of forward, with the edges of the windows before and after each sample
+        // moving along with it, keep this one pass
+        const sums = [0];
+        forward.forEach((value, i) => sums.push(sums[i] + value));
+        const mean = (from, to) => (to > from ? (sums[to] - sums[from]) / (to - from) : 0);
+        let windowStart = 0;
+        let current = 0;
+        let windowEnd = 0;
+
+        let best = first;
+        let bestScore = -Infinity;
+        for (let i = first; i <= last; i++) {
+            while (times[windowStart] < times[i] - this.releaseWindow) windowStart++;
+            while (times[current] < times[i]) current++;
+            while (windowEnd < n && times[windowEnd] < times[i] + this.releaseWindow) windowEnd++;
+            const before = mean(windowStart, current);
+            const after = mean(current, windowEnd);
+            const decelChange = Math.abs(after - before);
+            const score = jolt[i] / joltScale + decelChange;
+            if (score > bestScore) {
+                bestScore = score;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    // Body instability: 5-point RMS of pitch and roll (yaw is the intended turn, not wobble)
+    static stabilityIndex(gyro) {
+        const half = 2;
+        return gyro.x.map((_, i) => {
+            const start = Math.max(0, i - half);
+            const end = Math.min(gyro.x.length, i + half + 1);
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += Math.pow(gyro.x[j] || 0, 2) + Math.pow(gyro.y[j] || 0, 2);
+            }
+            return Math.sqrt(sum / (end - start));
+        });
+    }
+
+    // Overlays phase bands on a line chart whose labels are sample times
+    static chartPlugin() {
+        return {
+            id: 'phaseBands',
+            beforeDatasetsDraw(chart, args, options) {
+                const phases = options && options.phases;
+                if (!phases || phases.length === 0) return;
+
+                const { ctx, chartArea, scales } = chart;
+                const definitions = DeliverySegmenter.phaseDefinitions();
+                const labels = chart.data.labels.map(Number);
+                const pixelAt = (time) => {
+                    let index = labels.findIndex(label => label >= time);
+                    if (index === -1) index = labels.length - 1;
+                    return scales.x.getPixelForValue(index);
+                };
+
+                ctx.save();
+                ctx.font = '10px sans-serif';
+                ctx.textBaseline = 'top';
+                phases.forEach(phase => {
+                    const left = Math.max(chartArea.left, pixelAt(phase.startTime));
+                    const right = Math.min(chartArea.right, pixelAt(phase.endTime));
+                    const definition = definitions.find(d => d.name === phase.name);
+                    if (right <= left || !definition) return;
+
+                    ctx.fillStyle = definition.color;
+                    ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                    if (right - left > 30) {
+                        ctx.fillStyle = '#4a5568';
+                        ctx.fillText(definition.label, left + 3, chartArea.top + 3);
+                    }
+                });
+                ctx.restore();
+            }
+        };
+    }
+
+    smooth(values, windowSize) {
+        const half = Math.floor(windowSize / 2);
+        return values.map((_, i) => {
+            const start = Math.max(0, i - half);
+            const end = Math.min(values.length, i + half + 1);
+            let sum = 0;
+            for (let j = start; j < end; j++) sum += values[j] || 0;
+            return sum / (end - start);
+        });
+    }
+
+    // First index at or after the given time, never before minIndex
+    indexAtTime(times, time, minIndex = 0) {
+        for (let i = minIndex; i < times.length; i++) {
+            if (times[i] >= time) return i;
+        }
+        return times.length - 1;
+    }
+}
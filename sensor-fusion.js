@@ -0,0 +1,182 @@
+// Gravity removal and orientation compensation for torso-mounted sensor data.
+// Turns device-frame samples into a sheet-aligned frame:
+//   x = down-ice, y = lateral (left positive), z = vertical (up positive)
+class SensorFusion {
+    constructor(options = {}) {
+        this.filterGain = options.filterGain || 0.02; // weight given to the accelerometer each step
+        this.settleTime = options.settleTime || 0.5; // seconds averaged for the initial gravity estimate
+        this.headingThreshold = options.headingThreshold || 1.0; // m/s² - samples used to find down-ice
+    }
+
+    process(sensorData) {
+        const accel = sensorData.acceleration;
+        const linear = sensorData.linearAcceleration;
+        const n = accel.x.length;
+        const timestamps = accel.timestamps;
+
+        const result = {
+            acceleration: { x: [], y: [], z: [], timestamps: timestamps.slice() },
+            gyroscope: { x: [], y: [], z: [], timestamps: timestamps.slice() },
+            info: { gravitySource: 'filter', headingOffset: 0, meanTilt: 0 }
+        };
+        if (n === 0) return result;
+
+        const rates = this.alignGyroscope(sensorData.gyroscope, timestamps);
+        const hasDeviceLinear = linear && linear.x.length === n && linear.x.some(v => v !== null);
+        if (hasDeviceLinear) result.info.gravitySource = 'device';
+
+        // Pass 1: track gravity and a horizontal reference axis in the device frame
+        let gravity = this.initialGravity(accel);
+        let forward = this.initialForward(gravity);
+        const frames = [];
+        let tiltSum = 0;
+
+        for (let i = 0; i < n; i++) {
+            const measured = [accel.x[i], accel.y[i], accel.z[i]];
+            const dt = i > 0 ? timestamps[i] - timestamps[i - 1] : 0;
+            const omega = rates[i];
+
+            if (hasDeviceLinear && linear.x[i] !== null) {
+                // The device already separated gravity from body motion
+                gravity = this.subtract(measured, [linear.x[i], linear.y[i], linear.z[i]]);
+            } else {
+                const predicted = this.rotateWithGyro(gravity, omega, dt);
+                gravity = this.add(this.scale(predicted, 1 - this.filterGain), this.scale(measured, this.filterGain));
+            }
+
+            const up = this.normalize(gravity);
+            forward = this.rotateWithGyro(forward, omega, dt);
+            forward = this.normalize(this.subtract(forward, this.scale(up, this.dot(forward, up))));
+            const lateral = this.cross(up, forward);
+
+            const motion = this.subtract(measured, gravity);
+            frames.push({
+                forward: this.dot(motion, forward),
+                lateral: this.dot(motion, lateral),
+                vertical: this.dot(motion, up),
+                axes: { forward, lateral, up },
+                omega
+            });
+
+            tiltSum += Math.acos(Math.max(-1, Math.min(1, up[2]))) * 180 / Math.PI;
+        }
+
+        // Pass 2: rotate the horizontal plane so x points down the sheet
+        const heading = this.estimateHeading(frames, timestamps);
+        const cosH = Math.cos(heading);
+        const sinH = Math.sin(heading);
+
+        frames.forEach(frame => {
+            const downIce = cosH * frame.forward + sinH * frame.lateral;
+            const across = -sinH * frame.forward + cosH * frame.lateral;
+            result.acceleration.x.push(downIce);
+            result.acceleration.y.push(across);
+            result.acceleration.z.push(frame.vertical);
+
+            // Body rates about the sheet axes, back in °/s
+            const { forward, lateral, up } = frame.axes;
+            const sheetForward = this.add(this.scale(forward, cosH), this.scale(lateral, sinH));
+            const sheetLateral = this.cross(up, sheetForward);
+            result.gyroscope.x.push(this.dot(frame.omega, sheetLateral) * 180 / Math.PI); // Pitch
+            result.gyroscope.y.push(this.dot(frame.omega, sheetForward) * 180 / Math.PI); // Roll
+            result.gyroscope.z.push(this.dot(frame.omega, up) * 180 / Math.PI); // Yaw
+        });
+
+        result.info.headingOffset = heading * 180 / Math.PI;
+        result.info.meanTilt = tiltSum / n;
+        return result;
+    }
+
+    // Gyroscope samples in rad/s, matched to each accelerometer timestamp
+    alignGyroscope(gyro, timestamps) {
+        const toRadians = Math.PI / 180;
+        const rates = [];
+        let j = 0;
+
+        for (let i = 0; i < timestamps.length; i++) {
+            if (!gyro || gyro.x.length === 0) {
+                rates.push([0, 0, 0]);
+                continue;
+            }
+            while (j < gyro.timestamps.length - 1 && gyro.timestamps[j + 1] <= timestamps[i]) j++;
+            rates.push([gyro.x[j] * toRadians, gyro.y[j] * toRadians, gyro.z[j] * toRadians]);
+        }
+        return rates;
+    }
+
+    // Average the first moments in the hack, when the slider is still
+    initialGravity(accel) {
+        const sum = [0, 0, 0];
+        let count = 0;
+        for (let i = 0; i < accel.x.length && accel.timestamps[i] - accel.timestamps[0] <= this.settleTime; i++) {
+            sum[0] += accel.x[i];
+            sum[1] += accel.y[i];
+            sum[2] += accel.z[i];
+            count++;
+        }
+        const mean = this.scale(sum, 1 / Math.max(1, count));
+        return this.length(mean) > 1 ? mean : [0, 0, 9.81];
+    }
+
+    // Device x projected onto the horizontal plane, or y if x points straight up
+    initialForward(gravity) {
+        const up = this.normalize(gravity);
+        for (const axis of [[1, 0, 0], [0, 1, 0], [0, 0, 1]]) {
+            const projected = this.subtract(axis, this.scale(up, this.dot(axis, up)));
+            if (this.length(projected) > 0.3) return this.normalize(projected);
+        }
+        return [1, 0, 0];
+    }
+
+    // Principal direction of horizontal acceleration, signed so the slider travels forward
+    estimateHeading(frames, timestamps) {
+        let sff = 0, sll = 0, sfl = 0;
+        frames.forEach(frame => {
+            if (Math.hypot(frame.forward, frame.lateral) < this.headingThreshold) return;
+            sff += frame.forward * frame.forward;
+            sll += frame.lateral * frame.lateral;
+            sfl += frame.forward * frame.lateral;
+        });
+        if (sff + sll === 0) return 0;
+
+        let heading = 0.5 * Math.atan2(2 * sfl, sff - sll);
+
+        // Displacement down the sheet must come out positive
+        let velocity = 0;
+        let displacement = 0;
+        for (let i = 1; i < frames.length; i++) {
+            const dt = timestamps[i] - timestamps[i - 1];
+            velocity += (Math.cos(heading) * frames[i].forward + Math.sin(heading) * frames[i].lateral) * dt;
+            displacement += velocity * dt;
+        }
+        if (displacement < 0) heading += Math.PI;
+
+        return heading;
+    }
+
+    // A world-fixed vector seen from a rotating device: dv/dt = -omega x v.
+    // The Euler step grows the vector a little each time, so its length is restored.
+    rotateWithGyro(vector, omega, dt) {
+        if (dt <= 0) return vector;
+        const rotated = this.subtract(vector, this.scale(this.cross(omega, vector), dt));
+        const length = this.length(rotated);
+        return length > 0 ? this.scale(rotated, this.length(vector) / length) : vector;
+    }
+
+    add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+    subtract(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    scale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+    dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+    length(a) { return Math.sqrt(this.dot(a, a)); }
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+    normalize(a) {
+        const len = this.length(a);
+        return len > 0 ? this.scale(a, 1 / len) : [0, 0, 1];
+    }
+}
@@ -0,0 +1,252 @@
+// Interchangeable motion sensor sources. Every source hands its listeners raw samples in
+// one format, so calibration, trimming, metrics and charts don't care where they came from:
+//   sample: { acceleration: [x, y, z] m/s² including gravity, or null,
+//             linear: [x, y, z] m/s² without gravity, or null,
+//             rotationRate: [x, y, z] in the source's raw units (× rateScale gives °/s), or null }
+//   time:   ms on the Date.now() clock
+// Axes are the sensor's own; calibration (stored per source key) and sensor fusion map them
+// onto the sheet.
+class SensorSources {
+    static storageKey() {
+        return 'curling_sensor_source';
+    }
+
+    static options() {
+        return [
+            { value: 'devicemotion', label: 'Phone sensors' },
+            ...Object.values(BluetoothImuSource.profiles()).map(p => ({ value: `bluetooth:${p.id}`, label: `Bluetooth: ${p.label}` }))
+        ];
+    }
+
+    static create(value) {
+        const profileId = value && value.startsWith('bluetooth:') ? value.split(':')[1] : null;
+        const profile = profileId ? BluetoothImuSource.profiles()[profileId] : null;
+        return profile && BluetoothImuSource.isSupported()
+            ? new BluetoothImuSource(profile)
+            : new DeviceMotionSource();
+    }
+
+    static load() {
+        return SensorSources.create(localStorage.getItem(SensorSources.storageKey()));
+    }
+}
+
+// The phone's own accelerometer and gyroscope via devicemotion events
+class DeviceMotionSource {
+    constructor() {
+        this.type = 'devicemotion';
+        this.key = 'devicemotion';
+        this.label = 'Phone sensors';
+        this.rateScale = 1; // rotationRate is specified in °/s already
+        this.listeners = [];
+        this.onDisconnect = null; // never fires; the phone's sensors don't go away
+        this.handler = (event) => this.emit(event);
+    }
+
+    static isSupported() {
+        return 'DeviceMotionEvent' in window;
+    }
+
+    isReady() {
+        return true;
+    }
+
+    // iOS 13+ asks the user for motion and orientation access, from a tap
+    async requestAccess() {
+        if (typeof DeviceMotionEvent.requestPermission !== 'function') return true;
+
+        try {
+            const motionPermission = await DeviceMotionEvent.requestPermission();
+            const orientationPermission = await DeviceOrientationEvent.requestPermission();
+
+            if (motionPermission === 'granted' && orientationPermission === 'granted') {
+                return true;
+            }
+            alert('Sensor permissions are required for this app to work.');
+            return false;
+        } catch (error) {
+            console.error('Error requesting permissions:', error);
+            alert('Error requesting sensor permissions.');
+            return false;
+        }
+    }
+
+    addListener(listener) {
+        if (this.listeners.length === 0) window.addEventListener('devicemotion', this.handler);
+        this.listeners.push(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+        if (this.listeners.length === 0) window.removeEventListener('devicemotion', this.handler);
+    }
+
+    emit(event) {
+        const aig = event.accelerationIncludingGravity;
+        const linear = event.acceleration;
+        const hasLinear = linear && linear.x !== null && linear.y !== null && linear.z !== null;
+        const rate = event.rotationRate;
+
+        // Alpha = yaw (around vertical), beta = pitch (forward/backward tilt), gamma = roll (side to side), all °/s
+        const sample = {
+            acceleration: aig ? [aig.x || 0, aig.y || 0, aig.z || 0] : null,
+            linear: hasLinear ? [linear.x, linear.y, linear.z] : null,
+            rotationRate: rate ? [rate.beta || 0, rate.gamma || 0, rate.alpha || 0] : null
+        };
+        const time = Date.now();
+        this.listeners.slice().forEach(listener => listener(sample, time));
+    }
+}
+
+// A strap-on IMU over Web Bluetooth. Each supported device is a profile: its GATT service
+// and notifying characteristic, optional setup, and a parser from a notification to samples.
+class BluetoothImuSource {
+    constructor(profile) {
+        this.type = 'bluetooth';
+        this.profile = profile;
+        this.key = `bluetooth:${profile.id}`; // becomes per-device once connected
+        this.label = profile.label;
+        this.rateScale = 1; // profiles deliver °/s
+        this.listeners = [];
+        this.onDisconnect = null;
+        this.device = null;
+        this.characteristic = null;
+        this.notifying = false;
+        this.lastTime = null;
+        this.notificationHandler = (event) => this.receive(event.target.value);
+    }
+
+    static isSupported() {
+        return !!(navigator.bluetooth && navigator.bluetooth.requestDevice);
+    }
+
+    static profiles() {
+        return {
+            thingy52: {
+                id: 'thingy52',
+                label: 'Nordic Thingy:52',
+                service: 'ef680400-9b35-4933-9b10-52ffa9740042', // motion service
+                characteristic: 'ef680406-9b35-4933-9b10-52ffa9740042', // raw motion data
+                rate: 100, // Hz - motion processing frequency set on connect
+
+                // Motion config: step, temperature and compass intervals (uint16 each), then the
+                // processing frequency (uint16) and wake-on-motion (uint8)
+                async configure(service) {
+                    const config = await service.getCharacteristic('ef680401-9b35-4933-9b10-52ffa9740042');
+                    const current = await config.readValue();
+                    const bytes = new Uint8Array(current.buffer.slice(current.byteOffset, current.byteOffset + current.byteLength));
+                    new DataView(bytes.buffer).setUint16(6, this.rate, true);
+                    await config.writeValue(bytes);
+                },
+
+                // Accelerometer in g (Q6.10), gyroscope in °/s (Q11.5), then a compass we don't use
+                parse(value) {
+                    const read = (offset, scale) => value.getInt16(offset, true) / scale;
+                    return [{
+                        acceleration: [0, 2, 4].map(offset => read(offset, 1024) * 9.80665),
+                        linear: null,
+                        rotationRate: [6, 8, 10].map(offset => read(offset, 32))
+                    }];
+                }
+            }
+        };
+    }
+
+    isReady() {
+        return !!this.characteristic && !!this.device && this.device.gatt.connected;
+    }
+
+    // Picking the device has to come from a tap, so this runs from a button's click
+    async requestAccess() {
+        if (this.isReady()) return true;
+
+        try {
+            await this.connect();
+            return true;
+        } catch (error) {
+            console.error('Error connecting to Bluetooth sensor:', error);
+            if (error.name !== 'NotFoundError') {
+                alert('Could not connect to the Bluetooth sensor: ' + error.message);
+            }
+            return false;
+        }
+    }
+
+    async connect() {
+        if (!BluetoothImuSource.isSupported()) {
+            throw new Error('Web Bluetooth is not available in this browser');
+        }
+
+        const profile = this.profile;
+        if (!this.device) {
+            this.device = await navigator.bluetooth.requestDevice({ filters: [{ services: [profile.service] }] });
+            this.device.addEventListener('gattserverdisconnected', () => this.handleDisconnect());
+        }
+
+        const server = await this.device.gatt.connect();
+        const service = await server.getPrimaryService(profile.service);
+        if (profile.configure) await profile.configure(service);
+
+        this.characteristic = await service.getCharacteristic(profile.characteristic);
+        this.characteristic.addEventListener('characteristicvaluechanged', this.notificationHandler);
+        this.key = `bluetooth:${profile.id}:${this.device.id}`;
+        this.label = `${profile.label} (${this.device.name || 'unnamed'})`;
+        this.notifying = false;
+        if (this.listeners.length > 0) await this.startNotifications();
+
+        console.log('Bluetooth sensor connected:', this.label);
+    }
+
+    disconnect() {
+        if (this.device && this.device.gatt.connected) this.device.gatt.disconnect();
+    }
+
+    handleDisconnect() {
+        console.log('Bluetooth sensor disconnected:', this.label);
+        this.characteristic = null;
+        this.notifying = false;
+        if (this.onDisconnect) this.onDisconnect();
+    }
+
+    // Notifications only run while something is listening, to spare the sensor's battery
+    addListener(listener) {
+        this.listeners.push(listener);
+        if (this.listeners.length === 1) {
+            this.startNotifications().catch(error => console.error('Error starting sensor notifications:', error));
+        }
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+        if (this.listeners.length === 0 && this.notifying && this.isReady()) {
+            this.notifying = false;
+            this.characteristic.stopNotifications().catch(error => console.log('Error stopping sensor notifications:', error));
+        }
+    }
+
+    async startNotifications() {
+        if (!this.isReady() || this.notifying) return;
+        this.notifying = true;
+        this.lastTime = null;
+        await this.characteristic.startNotifications();
+    }
+
+    receive(value) {
+        this.profile.parse(value).forEach(sample => {
+            const time = this.sampleTime(Date.now());
+            this.listeners.slice().forEach(listener => listener(sample, time));
+        });
+    }
+
+    // Notifications arrive in bursts once per connection interval, so arrival times would
+    // stack several samples on one instant. Samples are spaced at the nominal rate instead,
+    // nudged gently toward the arrival clock, and resynced after a gap.
+    sampleTime(arrival) {
+        const period = 1000 / this.profile.rate;
+        const expected = this.lastTime === null ? arrival : this.lastTime + period;
+        this.lastTime = Math.abs(arrival - expected) > 500
+            ? arrival
+            : expected + (arrival - expected) * 0.05;
+        return this.lastTime;
+    }
+}
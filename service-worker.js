@@ -0,0 +1,86 @@
+// Precaches the app shell so it loads at the rink with no signal.
+// Bump the version whenever a listed file changes so clients pick it up.
+const CACHE_NAME = 'peel-weight-v13';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'comparison.html',
+    'coach.html',
+    'styles.css',
+    'comparison.css',
+    'vendor/chart.umd.min.js',
+    'analytics.js',
+    'storage.js',
+    'offline.js',
+    'sensor-fusion.js',
+    'sensor-sources.js',
+    'calibration.js',
+    'multi-sensor.js',
+    'segmentation.js',
+    'throw-types.js',
+    'athletes.js',
+    'weight-model.js',
+    'reference.js',
+    'video-sync.js',
+    'replay.js',
+    'live-link.js',
+    'coach-stream.js',
+    'remote-control.js',
+    'coach.js',
+    'audio-feedback.js',
+    'trigger.js',
+    'csv.js',
+    'importer.js',
+    'overlay.js',
+    'script.js',
+    'comparison.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve from the cache straight away and refresh it in the background.
+// Analytics and other cross-origin requests go to the network untouched.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => null);
+
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            const response = await network;
+            return response || Response.error();
+        })
+    );
+});
@@ -0,0 +1,445 @@
+// IndexedDB-backed storage for sessions, athletes, throws, raw sensor samples
+// and reference deliveries
+class ThrowStore {
+    constructor() {
+        this.dbName = 'curling_slide_analyzer';
+        this.dbVersion = 3;
+        this.currentSessionKey = 'curling_current_session_id';
+        this.currentAthleteKey = 'curling_current_athlete_id';
+        this.guestAthleteId = 'default';
+        this.db = null;
+        this.ready = null;
+        this.listeners = [];
+
+        // Lets the recording and analysis pages hear about each other's writes
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel('curling_throw_store');
+            this.channel.onmessage = (event) => {
+                this.listeners.forEach(listener => listener(event.data));
+            };
+        } else {
+            this.channel = null;
+        }
+    }
+
+    open() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = (event) => {
+                    this.upgrade(request.result, event.oldVersion, request.transaction);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(async (db) => {
+                this.db = db;
+
+                // Let a newer version open in another tab; the next call reopens
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                    this.ready = null;
+                };
+                // A failed migration leaves the legacy data in place for the next load and
+                // mustn't stop the store from working
+                try {
+                    await this.migrateFromLocalStorage(db);
+                } catch (error) {
+                    console.error('Error migrating localStorage data, will retry on next load:', error);
+                }
+                return db;
+            }, (error) => {
+                // Not cached, so a later call can try opening again
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    upgrade(db, oldVersion, tx) {
+        if (oldVersion < 1) {
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('startTime', 'startTime');
+
+            const throws = db.createObjectStore('throws', { keyPath: 'id' });
+            throws.createIndex('sessionId', 'sessionId');
+            throws.createIndex('timestamp', 'timestamp');
+            throws.createIndex('athleteId', 'athleteId');
+
+            db.createObjectStore('samples', { keyPath: 'throwId' });
+        }
+
+        if (oldVersion < 2) {
+            db.createObjectStore('athletes', { keyPath: 'id' });
+
+            // Throws from before the roster belong to the guest athlete
+            if (oldVersion >= 1) {
+                tx.objectStore('throws').openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (!cursor.value.athleteId) {
+                        cursor.update({ ...cursor.value, athleteId: this.guestAthleteId });
+                    }
+                    cursor.continue();
+                };
+            }
+        }
+
+        if (oldVersion < 3) {
+            db.createObjectStore('references', { keyPath: 'id' });
+        }
+    }
+
+    // Wrap an IDBRequest in a promise
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run work inside a transaction and resolve once it has committed
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return this.runTransaction(db, storeNames, mode, work);
+    }
+
+    runTransaction(db, storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            Promise.resolve(work(tx)).then(value => {
+                result = value;
+            }, reject);
+        });
+    }
+
+    async migrateFromLocalStorage(db) {
+        const legacySession = localStorage.getItem('curling_current_session');
+        const legacyThrows = localStorage.getItem('curling_session_throws');
+        if (!legacySession && !legacyThrows) return;
+
+        let session = null;
+        let throws = [];
+        try {
+            session = legacySession ? JSON.parse(legacySession) : null;
+            throws = legacyThrows ? JSON.parse(legacyThrows) : [];
+        } catch (error) {
+            console.error('Legacy session data is unreadable, skipping migration:', error);
+            return;
+        }
+
+        if (!session) {
+            const firstThrow = throws[0];
+            session = {
+                id: (firstThrow && firstThrow.sessionId) || 'session_' + Date.now(),
+                startTime: firstThrow ? firstThrow.timestamp : new Date().toISOString(),
+                name: `Session ${new Date().toLocaleDateString()}`
+            };
+        }
+
+        await this.runTransaction(db, ['sessions', 'throws', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('sessions').put(session);
+            throws.forEach(throwData => {
+                const { rawData, ...summary } = throwData;
+                summary.sessionId = summary.sessionId || session.id;
+                summary.athleteId = summary.athleteId || this.guestAthleteId;
+                tx.objectStore('throws').put(summary);
+                if (rawData) {
+                    tx.objectStore('samples').put({ throwId: summary.id, ...rawData });
+                }
+            });
+        });
+
+        localStorage.setItem(this.currentSessionKey, session.id);
+        localStorage.removeItem('curling_current_session');
+        localStorage.removeItem('curling_session_throws');
+        localStorage.removeItem('curling_latest_throw');
+
+        console.log(`Migrated ${throws.length} throws from localStorage to IndexedDB`);
+    }
+
+    // Sessions
+
+    async getSession(id) {
+        return this.transaction('sessions', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('sessions').get(id))
+        );
+    }
+
+    async getSessions() {
+        return this.transaction('sessions', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('sessions').index('startTime').getAll())
+        );
+    }
+
+    async saveSession(session) {
+        await this.transaction('sessions', 'readwrite', (tx) => {
+            tx.objectStore('sessions').put(session);
+        });
+        this.notifyChange({ type: 'session', sessionId: session.id });
+        return session;
+    }
+
+    async createSession(name) {
+        const session = {
+            id: 'session_' + Date.now(),
+            startTime: new Date().toISOString(),
+            name: name || `Session ${new Date().toLocaleDateString()}`
+        };
+        await this.saveSession(session);
+        this.setCurrentSessionId(session.id);
+        return session;
+    }
+
+    async deleteSession(id) {
+        const throws = await this.getThrowsBySession(id);
+        await this.transaction(['sessions', 'throws', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('sessions').delete(id);
+            throws.forEach(throwData => {
+                tx.objectStore('throws').delete(throwData.id);
+                tx.objectStore('samples').delete(throwData.id);
+            });
+        });
+
+        if (this.getCurrentSessionId() === id) {
+            localStorage.removeItem(this.currentSessionKey);
+        }
+        this.notifyChange({ type: 'session', sessionId: id });
+    }
+
+    getCurrentSessionId() {
+        return localStorage.getItem(this.currentSessionKey);
+    }
+
+    setCurrentSessionId(id) {
+        localStorage.setItem(this.currentSessionKey, id);
+    }
+
+    async getCurrentSession() {
+        const id = this.getCurrentSessionId();
+        return id ? (await this.getSession(id)) || null : null;
+    }
+
+    async getOrCreateCurrentSession() {
+        const session = await this.getCurrentSession();
+        return session || this.createSession();
+    }
+
+    // Athletes
+
+    async getAthletes() {
+        const athletes = await this.transaction('athletes', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('athletes').getAll())
+        );
+        return athletes.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getAthlete(id) {
+        return this.transaction('athletes', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('athletes').get(id))
+        );
+    }
+
+    async saveAthlete(athlete) {
+        await this.transaction('athletes', 'readwrite', (tx) => {
+            tx.objectStore('athletes').put(athlete);
+        });
+        this.notifyChange({ type: 'athlete', athleteId: athlete.id });
+        return athlete;
+    }
+
+    async createAthlete(profile) {
+        return this.saveAthlete({
+            id: 'athlete_' + Date.now(),
+            createdAt: new Date().toISOString(),
+            hand: 'right',
+            aid: 'brush',
+            ...profile
+        });
+    }
+
+    // Their throws stay in session history, listed under a removed athlete
+    async deleteAthlete(id) {
+        await this.transaction('athletes', 'readwrite', (tx) => {
+            tx.objectStore('athletes').delete(id);
+        });
+        if (this.getCurrentAthleteId() === id) {
+            localStorage.removeItem(this.currentAthleteKey);
+        }
+        this.notifyChange({ type: 'athlete', athleteId: id });
+    }
+
+    getCurrentAthleteId() {
+        return localStorage.getItem(this.currentAthleteKey) || this.guestAthleteId;
+    }
+
+    setCurrentAthleteId(id) {
+        localStorage.setItem(this.currentAthleteKey, id);
+    }
+
+    // Reference deliveries, one per athlete and weight
+
+    referenceId(athleteId, category) {
+        return `${athleteId}|${category}`;
+    }
+
+    async getReferences() {
+        return this.transaction('references', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('references').getAll())
+        );
+    }
+
+    async getReference(athleteId, category) {
+        return this.transaction('references', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('references').get(this.referenceId(athleteId, category)))
+        );
+    }
+
+    async saveReference(reference) {
+        const saved = { ...reference, id: this.referenceId(reference.athleteId, reference.category) };
+        await this.transaction('references', 'readwrite', (tx) => {
+            tx.objectStore('references').put(saved);
+        });
+        this.notifyChange({ type: 'reference', referenceId: saved.id });
+        return saved;
+    }
+
+    async deleteReference(id) {
+        await this.transaction('references', 'readwrite', (tx) => {
+            tx.objectStore('references').delete(id);
+        });
+        this.notifyChange({ type: 'reference', referenceId: id });
+    }
+
+    // Throws
+
+    // Raw traces go to the samples store so listing throws stays cheap
+    async saveThrow(throwData) {
+        const { rawData, ...summary } = throwData;
+        await this.transaction(['throws', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('throws').put(summary);
+            if (rawData) {
+                tx.objectStore('samples').put({ throwId: summary.id, ...rawData });
+            }
+        });
+        this.notifyChange({ type: 'throw', throwId: summary.id, sessionId: summary.sessionId });
+        return summary;
+    }
+
+    // Bulk save for imports: one transaction and one change notification
+    async saveThrows(throws) {
+        await this.transaction(['throws', 'samples'], 'readwrite', (tx) => {
+            throws.forEach(throwData => {
+                const { rawData, ...summary } = throwData;
+                tx.objectStore('throws').put(summary);
+                if (rawData) {
+                    tx.objectStore('samples').put({ throwId: summary.id, ...rawData });
+                }
+            });
+        });
+        this.notifyChange({ type: 'import', throwCount: throws.length });
+        return throws.length;
+    }
+
+    // Merge changes into a stored throw's summary; raw samples are untouched
+    async updateThrow(id, changes) {
+        const updated = await this.transaction('throws', 'readwrite', async (tx) => {
+            const store = tx.objectStore('throws');
+            const existing = await this.promisify(store.get(id));
+            if (!existing) return null;
+
+            const merged = { ...existing, ...changes };
+            store.put(merged);
+            return merged;
+        });
+        if (updated) {
+            this.notifyChange({ type: 'throw', throwId: id, sessionId: updated.sessionId });
+        }
+        return updated;
+    }
+
+    async getThrow(id) {
+        return this.transaction('throws', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('throws').get(id))
+        );
+    }
+
+    async getAllThrows() {
+        return this.transaction('throws', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('throws').index('timestamp').getAll())
+        );
+    }
+
+    async getThrowsBySession(sessionId) {
+        const throws = await this.transaction('throws', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('throws').index('sessionId').getAll(sessionId))
+        );
+        return throws.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    async countThrowsBySession(sessionId) {
+        return this.transaction('throws', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('throws').index('sessionId').count(sessionId))
+        );
+    }
+
+    // Dates are ISO strings, so they compare in chronological order
+    async getThrowsByDate(from, to) {
+        const range = IDBKeyRange.bound(new Date(from).toISOString(), new Date(to).toISOString());
+        return this.transaction('throws', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('throws').index('timestamp').getAll(range))
+        );
+    }
+
+    async getThrowsByAthlete(athleteId) {
+        const throws = await this.transaction('throws', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('throws').index('athleteId').getAll(athleteId))
+        );
+        return throws.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    async deleteThrow(id) {
+        await this.transaction(['throws', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('throws').delete(id);
+            tx.objectStore('samples').delete(id);
+        });
+        this.notifyChange({ type: 'throw', throwId: id });
+    }
+
+    // Raw samples
+
+    async getSamples(throwId) {
+        const samples = await this.transaction('samples', 'readonly', (tx) =>
+            this.promisify(tx.objectStore('samples').get(throwId))
+        );
+        if (!samples) return null;
+
+        const { throwId: _, ...rawData } = samples;
+        return rawData;
+    }
+
+    // Change notifications
+
+    notifyChange(detail) {
+        if (this.channel) {
+            this.channel.postMessage(detail);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+// Shared instance for the recording and analysis pages
+window.throwStore = new ThrowStore();
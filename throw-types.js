@@ -0,0 +1,43 @@
+// Intended weight and turn for a throw, shared by the recording and analysis pages
+class ThrowTypes {
+    static categories() {
+        return [
+            { value: 'guard', label: 'Guard' },
+            { value: 'draw', label: 'Draw' },
+            { value: 'takeout', label: 'Takeout' },
+            { value: 'peel', label: 'Peel' }
+        ];
+    }
+
+    static turns() {
+        return [
+            { value: 'in', label: 'In-turn' },
+            { value: 'out', label: 'Out-turn' }
+        ];
+    }
+
+    static categoryLabel(value) {
+        const category = ThrowTypes.categories().find(c => c.value === value);
+        return category ? category.label : 'Untagged';
+    }
+
+    static turnLabel(value) {
+        const turn = ThrowTypes.turns().find(t => t.value === value);
+        return turn ? turn.label : '';
+    }
+
+    // e.g. "Draw · In-turn"; untagged throws read "Untagged"
+    static describe(throwData) {
+        const category = ThrowTypes.categoryLabel(throwData.category);
+        const turn = ThrowTypes.turnLabel(throwData.turn);
+        return turn ? `${category} · ${turn}` : category;
+    }
+
+    // <option> markup, led by an empty "any" entry unless emptyLabel is null
+    static options(list, selected, emptyLabel) {
+        const entries = emptyLabel === null ? list : [{ value: '', label: emptyLabel }].concat(list);
+        return entries
+            .map(e => `<option value="${e.value}" ${e.value === (selected || '') ? 'selected' : ''}>${e.label}</option>`)
+            .join('');
+    }
+}
@@ -0,0 +1,68 @@
+// Hands-free start for armed recordings: waits for the athlete to settle in the hack,
+// then fires on the push-off. Keeps a short ring buffer so the recording can begin
+// a moment before the trigger and still include the backswing.
+class MotionTrigger {
+    constructor(options = {}) {
+        this.stillSeconds = options.stillSeconds || 1.5; // seconds of settled motion in the hack
+        this.stillSpread = options.stillSpread || 0.4; // m/s² - largest swing on any axis that counts as still
+        this.pushThreshold = options.pushThreshold || 1.5; // m/s² - departure from the settled reading
+        this.pushSeconds = options.pushSeconds || 0.1; // seconds the push must last, so a bump doesn't fire it
+        this.preTriggerSeconds = options.preTriggerSeconds || 1.0; // seconds kept from before the trigger
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = [];
+        this.state = 'settling';
+        this.baseline = null;
+        this.pushStart = null;
+    }
+
+    // Feed one sample (time in seconds). Returns 'ready' once settled and 'triggered'
+    // on the push-off; null otherwise.
+    push(time, sample) {
+        this.buffer.push({ time, sample });
+        const keep = Math.max(this.preTriggerSeconds, this.stillSeconds);
+        while (time - this.buffer[0].time > keep) this.buffer.shift();
+
+        if (!sample.acceleration || this.state === 'triggered') return null;
+        const accel = sample.acceleration;
+
+        if (this.state === 'settling') {
+            const recent = this.buffer.filter(e => e.sample.acceleration && time - e.time <= this.stillSeconds);
+            if (time - recent[0].time < this.stillSeconds * 0.9) return null;
+
+            for (let axis = 0; axis < 3; axis++) {
+                const values = recent.map(e => e.sample.acceleration[axis]);
+                if (Math.max(...values) - Math.min(...values) > this.stillSpread) return null;
+            }
+
+            this.baseline = [0, 1, 2].map(axis =>
+                recent.reduce((a, e) => a + e.sample.acceleration[axis], 0) / recent.length);
+            this.state = 'ready';
+            return 'ready';
+        }
+
+        // Compared as vectors: a forward push barely changes |a| on top of gravity
+        const departure = Math.hypot(...accel.map((value, axis) => value - this.baseline[axis]));
+        if (departure > this.pushThreshold) {
+            if (this.pushStart === null) this.pushStart = time;
+            if (time - this.pushStart >= this.pushSeconds) {
+                this.state = 'triggered';
+                return 'triggered';
+            }
+        } else {
+            this.pushStart = null;
+            // Follow slow shifts in the settled level, like easing weight onto the hack foot
+            this.baseline = this.baseline.map((value, axis) => value + (accel[axis] - value) * 0.02);
+        }
+        return null;
+    }
+
+    // Buffered samples from the pre-trigger window, oldest first
+    preTrigger() {
+        if (this.buffer.length === 0) return [];
+        const end = this.buffer[this.buffer.length - 1].time;
+        return this.buffer.filter(e => end - e.time <= this.preTriggerSeconds);
+    }
+}
@@ -0,0 +1,456 @@
+// Video of the delivery alongside the sensor trace: filmed with a camera while recording,
+// or imported from a second phone, then lined up with the sensor timeline by matching the
+// push-off in the picture or by hand. The replay drives the video frame by frame.
+class VideoSync {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.stream = null;
+        this.recorder = null;
+        this.captureStart = null; // Date.now() when the camera recording actually began
+        this.url = null;
+        this.clipDuration = null; // seconds, for recordings the browser can't report a length for
+        this.offset = null; // video seconds at sensor time zero
+        this.syncMethod = null; // 'capture', 'push-off' or 'manual'
+        this.analyzing = false;
+
+        this.setupEventListeners();
+    }
+
+    static analysisStep() {
+        return 0.1; // seconds between frames compared when looking for the push-off
+    }
+
+    static maxAnalysisSeconds() {
+        return 120; // longer clips are only searched this far in
+    }
+
+    static frameStep() {
+        return 1 / 30; // seconds per nudge, about one frame
+    }
+
+    setupEventListeners() {
+        document.getElementById('videoCameraBtn').addEventListener('click', () => {
+            if (this.stream) {
+                this.closeCamera();
+            } else {
+                this.openCamera();
+            }
+        });
+        document.getElementById('videoCameraSelect').addEventListener('change', (event) => {
+            this.openCamera(event.target.value);
+        });
+        document.getElementById('videoImportInput').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) this.importFile(file);
+        });
+        document.getElementById('videoSyncAutoBtn').addEventListener('click', () => this.autoSync());
+        document.getElementById('videoSyncManualBtn').addEventListener('click', () => this.markPushoff());
+        document.getElementById('videoNudgeBackBtn').addEventListener('click', () => this.nudge(-VideoSync.frameStep()));
+        document.getElementById('videoNudgeForwardBtn').addEventListener('click', () => this.nudge(VideoSync.frameStep()));
+        document.getElementById('videoRemoveBtn').addEventListener('click', () => this.clearVideo());
+    }
+
+    // A camera on this device or one connected to it, filming while the sensors record
+    async openCamera(deviceId) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || !window.MediaRecorder) {
+            alert('Video capture is not supported in this browser. Film on another phone and import the clip instead.');
+            return;
+        }
+
+        this.closeCamera();
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' },
+                audio: false
+            });
+        } catch (error) {
+            console.error('Error opening camera:', error);
+            alert('Could not open the camera. Check the camera permission for this site.');
+            return;
+        }
+
+        document.getElementById('videoPreview').srcObject = this.stream;
+        await this.listCameras();
+        this.updateCaptureUI();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('video_camera_opened', {
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    closeCamera() {
+        if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+        this.recorder = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        document.getElementById('videoPreview').srcObject = null;
+        this.updateCaptureUI();
+    }
+
+    // Camera names are only given out once permission has been granted
+    async listCameras() {
+        const select = document.getElementById('videoCameraSelect');
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const cameras = devices.filter(device => device.kind === 'videoinput');
+        const current = this.stream ? this.stream.getVideoTracks()[0].getSettings().deviceId : null;
+
+        select.innerHTML = '';
+        cameras.forEach((camera, i) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Camera ${i + 1}`;
+            option.selected = camera.deviceId === current;
+            select.appendChild(option);
+        });
+    }
+
+    updateCaptureUI() {
+        const open = !!this.stream;
+        document.getElementById('videoCameraBtn').textContent = open ? 'Turn Camera Off' : '📹 Film with Camera';
+        document.getElementById('videoCameraSelect').style.display = open ? '' : 'none';
+        document.getElementById('videoPreview').style.display = open ? 'block' : 'none';
+        document.getElementById('videoCaptureStatus').textContent = open
+            ? 'Camera on: the clip is recorded with each throw'
+            : 'Optional: film the delivery, or import a clip after the throw';
+    }
+
+    // Called as a sensor recording starts. Armed recordings start filming on the trigger,
+    // so the pre-trigger second has sensor data but no picture.
+    startCapture() {
+        if (!this.stream) return;
+
+        const chunks = [];
+        this.captureStart = null;
+        const recorder = new MediaRecorder(this.stream);
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onstart = () => {
+            this.captureStart = Date.now();
+        };
+        recorder.onstop = () => {
+            if (chunks.length === 0) return;
+            this.setVideo(URL.createObjectURL(new Blob(chunks, { type: recorder.mimeType })));
+        };
+        this.recorder = recorder;
+        recorder.start();
+    }
+
+    // Called once the throw has been processed: the clip is synced from the two clocks, with
+    // the part of the recording trimmed off before the throw taken into account
+    finishCapture() {
+        const recorder = this.recorder;
+        if (!recorder || recorder.state === 'inactive') return;
+
+        this.recorder = null;
+        recorder.stop();
+        if (this.captureStart === null) return;
+
+        this.clipDuration = (Date.now() - this.captureStart) / 1000;
+        this.offset = (this.analyzer.startTime - this.captureStart) / 1000 + this.analyzer.trimStart;
+        this.syncMethod = 'capture';
+    }
+
+    async importFile(file) {
+        if (!file.type.startsWith('video/')) {
+            alert('Please choose a video file.');
+            return;
+        }
+
+        this.clipDuration = null;
+        this.offset = null;
+        this.syncMethod = null;
+        const loaded = await this.setVideo(URL.createObjectURL(file));
+        if (!loaded) {
+            alert('This video format can\'t be played in this browser.');
+            this.clearVideo();
+            return;
+        }
+
+        if (window.analytics) {
+            window.analytics.trackEvent('video_imported', {
+                sizeMB: Math.round(file.size / 1048576),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await this.autoSync();
+    }
+
+    // Resolves to false if the browser can't play the clip
+    setVideo(url) {
+        if (this.url) URL.revokeObjectURL(this.url);
+        this.url = url;
+
+        const video = document.getElementById('replayVideo');
+        document.getElementById('videoPanel').style.display = 'block';
+        this.updateSyncInfo();
+
+        return new Promise(resolve => {
+            video.addEventListener('loadedmetadata', () => {
+                video.playbackRate = this.analyzer.replay.speed;
+                this.seek(this.analyzer.replay.time, false);
+                resolve(true);
+            }, { once: true });
+            video.addEventListener('error', () => resolve(false), { once: true });
+            video.src = url;
+        });
+    }
+
+    // Dropped with the throw it belongs to; the camera stays on for the next one
+    clearVideo() {
+        if (this.url) URL.revokeObjectURL(this.url);
+        this.url = null;
+        this.offset = null;
+        this.syncMethod = null;
+        this.clipDuration = null;
+
+        const video = document.getElementById('replayVideo');
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        document.getElementById('videoPanel').style.display = 'none';
+        document.getElementById('videoOutOfRange').style.display = 'none';
+    }
+
+    duration() {
+        const video = document.getElementById('replayVideo');
+        return Number.isFinite(video.duration) ? video.duration : this.clipDuration;
+    }
+
+    pushoffTime() {
+        const segmentation = this.analyzer.segmentation;
+        if (!segmentation || !segmentation.events) return null;
+        const events = segmentation.events;
+        if (events.pushoffOnset !== undefined) return events.pushoffOnset;
+        return events.peakPush !== undefined ? events.peakPush : null;
+    }
+
+    // Finds the push-off in the picture: the sensor speed around push-off is slid along the
+    // clip's frame-to-frame motion and the best-correlated position is taken
+    async autoSync() {
+        if (!this.url || this.analyzing) return;
+
+        const pushoff = this.pushoffTime();
+        const velocity = this.analyzer.sensorData.velocity;
+        if (pushoff === null || velocity.x.length === 0) {
+            alert('No push-off was detected in this throw. Set the sync point by hand instead.');
+            return;
+        }
+
+        const step = VideoSync.analysisStep();
+        const duration = Math.min(this.duration() || 0, VideoSync.maxAnalysisSeconds());
+        if (duration <= 0) return;
+
+        this.analyzing = true;
+        const info = document.getElementById('videoSyncInfo');
+        info.textContent = 'Looking for the push-off in the video...';
+
+        let energy;
+        try {
+            energy = await VideoSync.motionEnergy(this.url, duration, step, (share) => {
+                info.textContent = `Looking for the push-off in the video... ${Math.round(share * 100)}%`;
+            });
+        } catch (error) {
+            console.error('Error analysing video:', error);
+            this.analyzing = false;
+            info.textContent = 'The video could not be analysed. Set the sync point by hand.';
+            return;
+        }
+        this.analyzing = false;
+
+        // From a second before push-off to two seconds after: the rise into the slide
+        const templateStart = Math.max(0, pushoff - 1);
+        const template = [];
+        for (let t = templateStart; t <= pushoff + 2; t += step) {
+            const index = ThrowReplay.indexAt(velocity.timestamps, t);
+            template.push(Math.abs(velocity.x[index]));
+        }
+
+        const match = VideoSync.bestMatch(template, energy);
+        if (!match) {
+            info.textContent = 'The video is too short to find the push-off. Set the sync point by hand.';
+            return;
+        }
+
+        this.offset = match.index * step - templateStart;
+        this.syncMethod = 'push-off';
+        console.log(`Video synced on push-off: offset ${this.offset.toFixed(2)}s, correlation ${match.correlation.toFixed(2)}`);
+        this.seek(this.analyzer.replay.time, false);
+        this.updateSyncInfo(match.correlation);
+
+        if (window.analytics) {
+            window.analytics.trackEvent('video_synced', {
+                method: this.syncMethod,
+                correlation: match.correlation,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // Mean change between consecutive small greyscale frames, one value per step
+    static async motionEnergy(url, duration, step, onProgress) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = url;
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+            video.addEventListener('error', () => reject(new Error('Video could not be decoded')), { once: true });
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 36;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        const energy = [];
+        let previous = null;
+        for (let t = 0; t <= duration; t += step) {
+            video.currentTime = t;
+            await new Promise(resolve => video.addEventListener('seeked', resolve, { once: true }));
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+            const grey = new Float32Array(pixels.length / 4);
+            for (let i = 0; i < grey.length; i++) {
+                grey[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+            }
+
+            let change = 0;
+            if (previous) {
+                for (let i = 0; i < grey.length; i++) change += Math.abs(grey[i] - previous[i]);
+                change /= grey.length;
+            }
+            energy.push(change);
+            previous = grey;
+
+            if (onProgress) onProgress(Math.min(1, t / duration));
+        }
+
+        video.removeAttribute('src');
+        video.load();
+        return energy;
+    }
+
+    // Position in values where template correlates best (Pearson), or null if it doesn't fit
+    static bestMatch(template, values) {
+        const n = template.length;
+        if (n < 3 || values.length < n) return null;
+
+        const mean = template.reduce((a, b) => a + b, 0) / n;
+        const centred = template.map(v => v - mean);
+        const norm = Math.sqrt(centred.reduce((a, v) => a + v * v, 0));
+        if (norm === 0) return null;
+
+        let best = null;
+        for (let j = 0; j + n <= values.length; j++) {
+            const slice = values.slice(j, j + n);
+            const sliceMean = slice.reduce((a, b) => a + b, 0) / n;
+            let dot = 0;
+            let sliceNorm = 0;
+            for (let i = 0; i < n; i++) {
+                dot += centred[i] * (slice[i] - sliceMean);
+                sliceNorm += Math.pow(slice[i] - sliceMean, 2);
+            }
+            if (sliceNorm === 0) continue;
+
+            const correlation = dot / (norm * Math.sqrt(sliceNorm));
+            if (!best || correlation > best.correlation) best = { index: j, correlation };
+        }
+        return best;
+    }
+
+    // The frame on screen shows the push-off
+    markPushoff() {
+        const pushoff = this.pushoffTime();
+        if (!this.url || pushoff === null) {
+            alert('No push-off was detected in this throw to sync against.');
+            return;
+        }
+
+        const video = document.getElementById('replayVideo');
+        video.pause();
+        this.offset = video.currentTime - pushoff;
+        this.syncMethod = 'manual';
+        this.analyzer.replay.pause();
+        this.analyzer.replay.seek(pushoff);
+        this.updateSyncInfo();
+
+        if (window.analytics) {
+            window.analytics.trackEvent('video_synced', {
+                method: this.syncMethod,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    nudge(seconds) {
+        if (this.offset === null) return;
+        this.offset += seconds;
+        this.syncMethod = 'manual';
+        this.seek(this.analyzer.replay.time, false);
+        this.updateSyncInfo();
+    }
+
+    updateSyncInfo(correlation) {
+        const info = document.getElementById('videoSyncInfo');
+        const nudgeable = this.offset !== null;
+        document.getElementById('videoNudgeBackBtn').disabled = !nudgeable;
+        document.getElementById('videoNudgeForwardBtn').disabled = !nudgeable;
+
+        if (this.offset === null) {
+            info.textContent = 'Not synced: pause the video on the push-off and tap "This Frame is Push-off", or try Auto-sync.';
+            return;
+        }
+
+        const methods = {
+            capture: 'Synced from the recording clocks',
+            'push-off': 'Synced on the push-off in the video',
+            manual: 'Synced by hand'
+        };
+        let text = `${methods[this.syncMethod]} (video ${this.offset >= 0 ? '+' : ''}${this.offset.toFixed(2)} s)`;
+        if (correlation !== undefined && correlation < 0.5) {
+            text += '. Weak match: check it against the picture and nudge if needed.';
+        }
+        info.textContent = text;
+    }
+
+    // Replay hooks: while playing the video runs by itself and is only pulled back when it
+    // drifts; when scrubbing it follows the cursor exactly
+    seek(time, playing) {
+        const video = document.getElementById('replayVideo');
+        if (!this.url || this.offset === null || video.readyState === 0) return;
+
+        const target = time + this.offset;
+        const duration = this.duration();
+        const inRange = target >= 0 && (!duration || target <= duration);
+        document.getElementById('videoOutOfRange').style.display = inRange ? 'none' : 'flex';
+        if (!inRange) {
+            if (!video.paused) video.pause();
+            return;
+        }
+
+        if (playing) {
+            if (Math.abs(video.currentTime - target) > 0.15) video.currentTime = target;
+            if (video.paused) video.play().catch(error => console.log('Video playback blocked:', error));
+        } else if (Math.abs(video.currentTime - target) > 0.01) {
+            video.currentTime = target;
+        }
+    }
+
+    setSpeed(speed) {
+        document.getElementById('replayVideo').playbackRate = speed;
+    }
+
+    pause() {
+        const video = document.getElementById('replayVideo');
+        if (!video.paused) video.pause();
+    }
+}
@@ -0,0 +1,219 @@
+// Maps the body's velocity at release to a predicted stone split time and weight zone.
+// Uses uniform ice friction, tuned by the hog-to-hog time of a stone that stops on the tee.
+class IceSpeedModel {
+    constructor(config = {}) {
+        this.config = { ...IceSpeedModel.defaults(), ...config };
+    }
+
+    static storageKey() {
+        return 'curling_ice_model';
+    }
+
+    static defaults() {
+        return {
+            drawTime: 14.0, // s - hog-to-hog time of a draw to the tee (higher = faster ice)
+            releaseToHog: 1.0, // m - typical release point before the near hog line
+            peelTime: 9.0, // s - hog-to-hog time at or below which a hit counts as peel weight
+            velocityTolerance: 0.1 // m/s - sensor uncertainty used for the split-time band
+        };
+    }
+
+    // Distances along the sheet, in metres from the near hog line
+    static sheet() {
+        return {
+            farHog: 21.945,
+            frontOfHouse: 26.517,
+            tee: 28.346,
+            backLine: 30.175,
+            hack: 32.004,
+            boards: 33.4
+        };
+    }
+
+    static zones() {
+        return [
+            { name: 'hogged', label: 'Hogged' },
+            { name: 'guard', label: 'Guard' },
+            { name: 'draw', label: 'Draw' },
+            { name: 'hack', label: 'Hack' },
+            { name: 'board', label: 'Board' },
+            { name: 'takeout', label: 'Takeout' },
+            { name: 'peel', label: 'Peel' }
+        ];
+    }
+
+    static load() {
+        try {
+            return new IceSpeedModel(JSON.parse(localStorage.getItem(IceSpeedModel.storageKey()) || '{}'));
+        } catch (error) {
+            console.error('Stored ice model is unreadable:', error);
+            return new IceSpeedModel();
+        }
+    }
+
+    save(changes) {
+        this.config = { ...this.config, ...changes };
+        localStorage.setItem(IceSpeedModel.storageKey(), JSON.stringify(this.config));
+    }
+
+    // A draw crosses the hog-to-hog distance d in drawTime and stops D from the near hog:
+    // T = sqrt(2/a) * (sqrt(D) - sqrt(D - d)), solved for a
+    deceleration() {
+        const { tee, farHog } = IceSpeedModel.sheet();
+        const root = Math.sqrt(tee) - Math.sqrt(tee - farHog);
+        return 2 * root * root / (this.config.drawTime * this.config.drawTime);
+    }
+
+    // Stone speed at the near hog line, assuming it leaves the hand at the body's speed
+    hogSpeed(releaseVelocity) {
+        const a = this.deceleration();
+        return Math.sqrt(Math.max(0, releaseVelocity * releaseVelocity - 2 * a * this.config.releaseToHog));
+    }
+
+    stopDistance(releaseVelocity) {
+        const v = this.hogSpeed(releaseVelocity);
+        return v * v / (2 * this.deceleration());
+    }
+
+    // Null when the stone would not reach the far hog line
+    hogToHogTime(releaseVelocity) {
+        const a = this.deceleration();
+        const v = this.hogSpeed(releaseVelocity);
+        const farSquared = v * v - 2 * a * IceSpeedModel.sheet().farHog;
+        if (farSquared <= 0) return null;
+        return (v - Math.sqrt(farSquared)) / a;
+    }
+
+    zone(releaseVelocity) {
+        return this.zoneFor(this.stopDistance(releaseVelocity), this.hogToHogTime(releaseVelocity));
+    }
+
+    // Where a stone crossing the near hog at the speed implied by a hog-to-hog split would stop
+    zoneForSplit(split) {
+        const a = this.deceleration();
+        const farHog = IceSpeedModel.sheet().farHog;
+        const hogSpeed = farHog / split + a * split / 2;
+        return this.zoneFor(hogSpeed * hogSpeed / (2 * a), split);
+    }
+
+    zoneFor(distance, split) {
+        const sheet = IceSpeedModel.sheet();
+
+        let name = 'peel';
+        if (distance < sheet.farHog) name = 'hogged';
+        else if (distance < sheet.frontOfHouse) name = 'guard';
+        else if (distance < sheet.backLine) name = 'draw';
+        else if (distance < sheet.hack) name = 'hack';
+        else if (distance < sheet.boards) name = 'board';
+        else if (split > this.config.peelTime) name = 'takeout';
+
+        return IceSpeedModel.zones().find(z => z.name === name);
+    }
+
+    predict(releaseVelocity) {
+        const tolerance = this.config.velocityTolerance;
+        const zone = this.zone(releaseVelocity);
+
+        // Faster release gives the shorter split, so the band bounds swap
+        const fastest = this.hogToHogTime(releaseVelocity + tolerance);
+        const slowest = this.hogToHogTime(Math.max(0, releaseVelocity - tolerance));
+
+        return {
+            releaseVelocity,
+            hogToHogTime: this.hogToHogTime(releaseVelocity),
+            splitBand: [fastest, slowest],
+            stopDistance: this.stopDistance(releaseVelocity),
+            zone: zone.name,
+            zoneLabel: zone.label,
+            drawTime: this.config.drawTime,
+            calibrated: false
+        };
+    }
+
+    // e.g. "13.2-14.6 s"; an open upper end means the slow case would hog
+    static formatBand(band) {
+        const [low, high] = band;
+        if (low === null) return 'Hogged';
+        return high === null ? `${low.toFixed(1)}+ s` : `${low.toFixed(1)}-${high.toFixed(1)} s`;
+    }
+}
+
+// Per-athlete fit between sensor release velocity and stopwatch hog-to-hog splits.
+// Mean stone speed between the hogs (d / split) is close to linear in release speed.
+class SplitCalibration {
+    constructor(fit) {
+        this.fit = fit;
+    }
+
+    static minimumThrows() {
+        return 3;
+    }
+
+    static async load(athleteId) {
+        return SplitCalibration.fromThrows(await window.throwStore.getThrowsByAthlete(athleteId));
+    }
+
+    static fromThrows(throws) {
+        const fit = SplitCalibration.fitThrows(throws);
+        return fit ? new SplitCalibration(fit) : null;
+    }
+
+    static fitThrows(throws) {
+        const farHog = IceSpeedModel.sheet().farHog;
+        const points = throws
+            .filter(t => t.measuredSplit > 0 && t.releaseVelocity > 0)
+            .map(t => ({ x: t.releaseVelocity, y: farHog / t.measuredSplit, split: t.measuredSplit }));
+        if (points.length < SplitCalibration.minimumThrows()) return null;
+
+        const n = points.length;
+        const meanX = points.reduce((a, p) => a + p.x, 0) / n;
+        const meanY = points.reduce((a, p) => a + p.y, 0) / n;
+        const sxx = points.reduce((a, p) => a + Math.pow(p.x - meanX, 2), 0);
+        const sxy = points.reduce((a, p) => a + (p.x - meanX) * (p.y - meanY), 0);
+        const syy = points.reduce((a, p) => a + Math.pow(p.y - meanY, 2), 0);
+
+        // Faster releases must give faster stones, or the fit is noise
+        if (sxx === 0 || sxy <= 0) return null;
+
+        const slope = sxy / sxx;
+        const intercept = meanY - slope * meanX;
+        const rSquared = syy > 0 ? (sxy * sxy) / (sxx * syy) : 1;
+
+        // Typical split error, in seconds, of the fitted prediction
+        const splitError = Math.sqrt(points.reduce((a, p) => {
+            const predicted = farHog / (slope * p.x + intercept);
+            return a + Math.pow(predicted - p.split, 2);
+        }, 0) / n);
+
+        return { slope, intercept, rSquared, splitError, count: n };
+    }
+
+    predictSplit(releaseVelocity) {
+        const speed = this.fit.slope * releaseVelocity + this.fit.intercept;
+        return speed > 0 ? IceSpeedModel.sheet().farHog / speed : null;
+    }
+
+    // Same shape as IceSpeedModel.predict, with the split taken from the fit
+    predict(releaseVelocity, iceModel) {
+        const split = this.predictSplit(releaseVelocity);
+        if (split === null) return iceModel.predict(releaseVelocity);
+
+        const zone = iceModel.zoneForSplit(split);
+        const margin = Math.max(this.fit.splitError, 0.1);
+        return {
+            releaseVelocity,
+            hogToHogTime: split,
+            splitBand: [split - margin, split + margin],
+            stopDistance: null,
+            zone: zone.name,
+            zoneLabel: zone.label,
+            drawTime: iceModel.config.drawTime,
+            calibrated: true,
+            calibrationThrows: this.fit.count
+        };
+    }
+
+    describe() {
+        return `${this.fit.count} throws, R² ${this.fit.rSquared.toFixed(2)}, ±${this.fit.splitError.toFixed(2)} s`;
+    }
+}